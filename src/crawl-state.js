@@ -0,0 +1,56 @@
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+
+/**
+ * Fresh crawl state. Everything a migrated or restarted run needs to continue lives here:
+ * run counters, per-search budgets, the job dedup set and which requests already finished.
+ * Sets are stored as `{ key: true }` objects so the state stays plain JSON.
+ */
+export function createCrawlState(searches, startedAt = new Date().toISOString()) {
+    return {
+        startedAt,
+        restarts: 0,
+        totalJobsScraped: 0,
+        pagesProcessed: 0,
+        extractionMethod: 'None',
+        searchStates: Object.fromEntries(searches.map((search) => [search.id, { jobsScraped: 0, pagesProcessed: 0 }])),
+        seenJobKeys: {},
+        // Job keys claimed by each page that has not saved its jobs yet, by request uniqueKey
+        pagesInProgress: {},
+        completedRequests: {},
+        queuedCompanyIds: {},
+        filterStats: { total: 0, byReason: {} },
+        incrementalStats: { newJobs: 0, alreadySeen: 0 },
+        companyStats: { queued: 0, scraped: 0 },
+        // "http", or "browserFallback" once the HTTP crawler finished and handed over to the browser
+        crawlPhase: 'http',
+        browserFallbackRequests: [],
+        browserFallbackStats: { searchPages: 0, detailPages: 0, companies: 0 },
+        // Saved jobs listing at least one skill, and jobs per canonical skill
+        skillStats: { jobs: 0, counts: {} },
+        // Webhook batches queued but not delivered yet
+        webhookBatches: [],
+    };
+}
+
+/**
+ * State to continue from after a restart. Pages interrupted before saving their jobs are
+ * retried by the request queue, so the job keys they claimed are released for the retry.
+ * Searches added since the state was saved get a fresh budget.
+ */
+export function resumeCrawlState(state, searches) {
+    const seenJobKeys = { ...state.seenJobKeys };
+    for (const keys of Object.values(state.pagesInProgress)) {
+        for (const key of keys) delete seenJobKeys[key];
+    }
+    const searchStates = { ...state.searchStates };
+    for (const search of searches) {
+        searchStates[search.id] ??= { jobsScraped: 0, pagesProcessed: 0 };
+    }
+    return {
+        ...state,
+        restarts: state.restarts + 1,
+        searchStates,
+        seenJobKeys,
+        pagesInProgress: {},
+    };
+}
@@ -0,0 +1,165 @@
+import * as cheerio from 'cheerio';
+
+// Canonical section keys, matched against heading text in this order - "Preferred Qualifications"
+// must hit preferredSkills before the generic qualification pattern of requirements, and
+// "About the Role" summary before the generic "About ..." of about
+const SECTION_PATTERNS = [
+    ['benefits', /perks|benefit|what we offer|we offer|why join|compensation/i],
+    ['preferredSkills', /preferred|good to have|nice to have|desired skills|added advantage|bonus points/i],
+    [
+        'responsibilities',
+        /responsibilit|duties|what you('ll| will) do|day[- ]to[- ]day|key result|your role|role (overview|description)/i,
+    ],
+    [
+        'requirements',
+        /requirement|qualification|candidate profile|eligibility|who you are|looking for|must have|^(key |technical )?skills?( required| needed)?$|experience required|education/i,
+    ],
+    ['summary', /job (description|summary|overview)|^overview$|^description$|about the (role|job)/i],
+    ['about', /^about\b|company (profile|overview)|who we are/i],
+];
+// Longer lines are content even when bold or ending with a colon
+const MAX_HEADING_LENGTH = 80;
+// Headings written as plain text lines without a colon - anything else needs bold, a heading tag or a colon
+const PLAIN_TEXT_HEADINGS = new Set([
+    'roles and responsibilities',
+    'roles & responsibilities',
+    'role and responsibilities',
+    'key responsibilities',
+    'job responsibilities',
+    'responsibilities',
+    'desired candidate profile',
+    'candidate profile',
+    'requirements',
+    'qualifications',
+    'eligibility',
+    'skills required',
+    'key skills',
+    'preferred skills',
+    'good to have',
+    'nice to have',
+    'perks and benefits',
+    'perks & benefits',
+    'benefits',
+    'what we offer',
+    'job description',
+    'about us',
+    'about the company',
+    'about company',
+]);
+const BULLET_PATTERN = /^\s*(?:[-•*▪●◦]|\d{1,2}[.)])\s+/;
+
+/**
+ * Canonical key for a heading, or null when it is not a known section heading
+ */
+export function classifySectionHeading(heading) {
+    const text = heading
+        .replace(/[:\-–]+\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!text || text.length > MAX_HEADING_LENGTH) return null;
+    const match = SECTION_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Flatten description HTML into lines, keeping whether a line was fully bold,
+ * started with a bold label or came from a heading or list item
+ */
+function readDescriptionLines(html) {
+    const $ = cheerio.load(`<div id="__root">${html}</div>`);
+    const lines = [];
+    let line = { text: '', bold: '', kind: 'text' };
+    const flush = () => {
+        const text = line.text.replace(/\s+/g, ' ').trim();
+        if (text) lines.push({ ...line, text, bold: line.bold.replace(/\s+/g, ' ').trim() });
+        line = { text: '', bold: '', kind: 'text' };
+    };
+    const walk = (nodes, inBold) => {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                const parts = node.data.split(/\r?\n/);
+                for (let i = 0; i < parts.length; i++) {
+                    if (i > 0) flush();
+                    // Only bold text at the very start of a line can be a label
+                    if (inBold && line.bold.length === line.text.length) line.bold += parts[i];
+                    line.text += parts[i];
+                }
+                continue;
+            }
+            if (node.type !== 'tag') continue;
+            const tag = node.tagName.toLowerCase();
+            if (tag === 'br') {
+                flush();
+            } else if (/^h[1-6]$/.test(tag)) {
+                flush();
+                line.kind = 'heading';
+                walk(node.children, inBold);
+                flush();
+            } else if (tag === 'li') {
+                flush();
+                line.kind = 'item';
+                walk(node.children, inBold);
+                flush();
+            } else if (['p', 'ul', 'ol', 'div'].includes(tag)) {
+                flush();
+                walk(node.children, inBold);
+                flush();
+            } else {
+                walk(node.children, inBold || tag === 'strong' || tag === 'b');
+            }
+        }
+    };
+    walk($('#__root').get(0).children, false);
+    flush();
+    return lines;
+}
+
+/**
+ * Split a job description into sections by its headings, bold labels and list blocks.
+ * Known heading variants ("Roles and Responsibilities", "Desired Candidate Profile",
+ * "Perks and Benefits", ...) map to canonical keys; text before the first heading is the
+ * `summary` and sections under unknown headings go to `other`. Each section is a list of
+ * lines with list bullets removed; only sections with content are returned.
+ */
+export function segmentDescription(html) {
+    const sections = {};
+    if (!html) return sections;
+    let current = 'summary';
+    const add = (key, text) => {
+        const value = text.replace(BULLET_PATTERN, '').trim();
+        if (!value) return;
+        sections[key] ??= [];
+        sections[key].push(value);
+    };
+    for (const { text, bold, kind } of readDescriptionLines(html)) {
+        const labelMatch = kind === 'item' ? null : text.match(/^([^:]{1,80}):\s*(\S.*)$/);
+        const labelKey =
+            labelMatch && bold.replace(/:$/, '').trim() === labelMatch[1].trim()
+                ? classifySectionHeading(labelMatch[1])
+                : null;
+        if (labelKey) {
+            // "Qualification: B.Tech" - a bold section label with its content on the same line
+            current = labelKey;
+            add(current, labelMatch[2]);
+            continue;
+        }
+        const isHeading =
+            kind === 'heading' ||
+            (kind === 'text' &&
+                !labelMatch &&
+                text.length <= MAX_HEADING_LENGTH &&
+                (bold.length >= text.length ||
+                    text.endsWith(':') ||
+                    PLAIN_TEXT_HEADINGS.has(text.toLowerCase().replace(/\s+/g, ' '))));
+        if (isHeading) {
+            const key = classifySectionHeading(text);
+            // Unknown colon lines ("Location:") are content, unknown bold lines start an `other` section
+            if (key || kind === 'heading' || bold.length >= text.length) {
+                current = key || 'other';
+                continue;
+            }
+        }
+        add(current, text);
+    }
+    return sections;
+}
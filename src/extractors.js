@@ -0,0 +1,585 @@
+import { log } from 'apify';
+import * as cheerio from 'cheerio';
+
+import {
+    extractCleanSectionFromCheerio,
+    extractRawDescription,
+    htmlToReadableText,
+    isChallengePage,
+    isLikelyNotFoundPage,
+    readJsonLdOfType,
+    readLabelledValues,
+    sanitizeHtmlFragment,
+    stripHtml,
+} from './html.js';
+import {
+    canonicalizeJobUrl,
+    extractCompanyIdFromUrl,
+    extractJobIdFromUrl,
+    getJobDedupKey,
+    getJsonLdJobId,
+    toAbsoluteNaukriUrl,
+} from './identifiers.js';
+import {
+    extractExperience,
+    parseExperience,
+    parseExperienceFromJsonLd,
+    parseSalary,
+    parseSalaryFromJsonLd,
+} from './normalizers.js';
+import { DEFAULT_SELECTOR_CONFIG } from './selector-config.js';
+
+/**
+ * Parse JobPosting schema to our format
+ */
+export function parseJobPosting(jobData) {
+    const hiringOrg = jobData.hiringOrganization || {};
+    const jobLocation = jobData.jobLocation || {};
+    const address = jobLocation.address || {};
+    let location = '';
+    if (typeof address === 'string') {
+        location = address;
+    } else {
+        location = [
+            address.addressLocality,
+            address.addressRegion,
+            address.addressCountry
+        ].filter(Boolean).join(', ');
+    }
+    let salary = 'Not specified';
+    if (jobData.baseSalary) {
+        const baseSalary = jobData.baseSalary;
+        if (baseSalary.value) {
+            const value = baseSalary.value;
+            if (typeof value === 'object') {
+                salary = `${value.minValue || ''} - ${value.maxValue || ''} ${baseSalary.currency || ''}`.trim();
+            } else {
+                salary = `${value} ${baseSalary.currency || ''}`.trim();
+            }
+        }
+    }
+    const experience = extractExperience(jobData.description || '');
+    return {
+        jobId: getJsonLdJobId(jobData) || extractJobIdFromUrl(jobData.url),
+        title: jobData.title || '',
+        company: hiringOrg.name || '',
+        location: location,
+        salary: salary,
+        ...parseSalaryFromJsonLd(jobData.baseSalary),
+        jobType: jobData.employmentType || 'Not specified',
+        experience,
+        ...(jobData.experienceRequirements
+            ? parseExperienceFromJsonLd(jobData.experienceRequirements)
+            : parseExperience(experience)),
+        postedDate: jobData.datePosted || '',
+        skills: detailListOf(jobData.skills),
+        descriptionHtml: jobData.description || '',
+        descriptionText: jobData.description ? stripHtml(jobData.description) : '',
+        url: jobData.url || '',
+        scrapedAt: new Date().toISOString()
+    };
+}
+function detailTextOf(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(detailTextOf).filter(Boolean).join(', ');
+    if (typeof value === 'object') return detailTextOf(value.label ?? value.name ?? value.value ?? '');
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+function detailCountOf(value) {
+    if (value == null || value === '') return null;
+    const match = String(value).replace(/,/g, '').match(/\d+/);
+    return match ? Number(match[0]) : null;
+}
+// Naukri's `createdDate` is epoch milliseconds, as in the search API
+function detailDateOf(value) {
+    if (typeof value === 'number' || /^\d{10,}$/.test(String(value ?? '').trim())) {
+        const date = new Date(Number(value));
+        return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+    return detailTextOf(value);
+}
+function detailListOf(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/\s*,\s*/);
+    return [...new Set(items.map(detailTextOf).filter(Boolean))];
+}
+/**
+ * Structured detail fields from Naukri's window state (`__NEXT_DATA__` job / jobDetails)
+ */
+export function parseJobDetailsFromState(job) {
+    if (!job || typeof job !== 'object') return {};
+    const education = job.education || {};
+    const keySkills = job.keySkills && !Array.isArray(job.keySkills)
+        ? [...(job.keySkills.preferred || []), ...(job.keySkills.other || [])]
+        : job.keySkills;
+    return {
+        keySkills: detailListOf(keySkills),
+        role: detailTextOf(job.jobRole ?? job.role),
+        roleCategory: detailTextOf(job.roleCategory),
+        industryType: detailTextOf(job.industry ?? job.industryType),
+        department: detailTextOf(job.functionalArea ?? job.department),
+        employmentType: detailTextOf(job.employmentType),
+        educationUG: detailTextOf(education.ug ?? education.UG),
+        educationPG: detailTextOf(education.pg ?? education.PG),
+        openings: detailCountOf(job.vacancy ?? job.openings),
+        applicants: detailCountOf(job.applyCount ?? job.applicants),
+        postedDate: detailDateOf(job.createdDate ?? job.datePosted),
+        companyId: detailTextOf(job.companyId),
+    };
+}
+/**
+ * Structured detail fields from a JSON-LD JobPosting
+ */
+export function parseJobDetailsFromJsonLd(item) {
+    if (!item || typeof item !== 'object') return {};
+    return {
+        keySkills: detailListOf(item.skills),
+        role: detailTextOf(item.occupationalCategory),
+        industryType: detailTextOf(item.industry),
+        employmentType: detailTextOf(item.employmentType),
+        openings: detailCountOf(item.totalJobOpenings),
+        postedDate: detailTextOf(item.datePosted),
+    };
+}
+// Detail page "Label: value" rows mapped to output fields
+const DETAIL_LABEL_FIELDS = {
+    'role': 'role',
+    'role category': 'roleCategory',
+    'industry type': 'industryType',
+    'department': 'department',
+    'employment type': 'employmentType',
+    'ug': 'educationUG',
+    'pg': 'educationPG',
+    'openings': 'openings',
+    'applicants': 'applicants',
+    'posted': 'postedDate',
+};
+/**
+ * Structured detail fields from the detail page DOM ("Role: ...", "UG: ...", "Key Skills" chips)
+ */
+export function parseJobDetailsFromDom($, selectors = DEFAULT_SELECTOR_CONFIG.detailPage) {
+    const details = readLabelledValues($, DETAIL_LABEL_FIELDS);
+    details.openings = detailCountOf(details.openings);
+    details.applicants = detailCountOf(details.applicants);
+    details.companyUrl = toAbsoluteNaukriUrl($(selectors.companyLink.join(', ')).first().attr('href'));
+    const keySkills = $(selectors.keySkills.join(', '))
+        .map((_, el) => $(el).text().trim())
+        .get();
+    details.keySkills = detailListOf(keySkills);
+    return details;
+}
+/**
+ * Combine detail sources field by field - first non-empty value wins
+ */
+export function pickDetailFields(...sources) {
+    const result = {};
+    for (const source of sources) {
+        for (const [key, value] of Object.entries(source)) {
+            if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+            if (result[key] === undefined) result[key] = value;
+        }
+    }
+    return result;
+}
+function readJsonLdJobPosting($) {
+    return readJsonLdOfType($, ['JobPosting']);
+}
+// Company overview "Label: value" rows mapped to output fields
+const COMPANY_LABEL_FIELDS = {
+    'company size': 'companySize',
+    'size': 'companySize',
+    'employees': 'companySize',
+    'industry': 'industry',
+    'industry type': 'industry',
+    'headquarters': 'headquarters',
+    'hq': 'headquarters',
+    'website': 'website',
+    'founded': 'founded',
+};
+function parseReviewCount(text) {
+    const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k|l)?\b/i);
+    if (!match) return null;
+    const multiplier = { k: 1000, l: 100000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(Number(match[1]) * multiplier);
+}
+/**
+ * Company profile fields from a Naukri company overview page (JSON-LD Organization, then DOM)
+ */
+export function parseCompanyProfile($, companyUrl, companyId) {
+    const org = readJsonLdOfType($, ['Organization', 'Corporation', 'LocalBusiness']) || {};
+    const labelled = readLabelledValues($, COMPANY_LABEL_FIELDS, 'label, dt, [class*="label"]');
+    const ratingText = $('[class*="rating"]').first().text();
+    const reviewsText = $('[class*="review"]').filter((_, el) => /reviews?/i.test($(el).text())).first().text();
+    const ratingValue = Number(org.aggregateRating?.ratingValue ?? ratingText.match(/\d(?:\.\d)?/)?.[0]);
+    const address = org.address || {};
+    return {
+        companyId,
+        name: detailTextOf(org.name) || $('h1').first().text().trim(),
+        rating: Number.isFinite(ratingValue) && ratingValue > 0 ? ratingValue : null,
+        reviewCount: detailCountOf(org.aggregateRating?.reviewCount ?? org.aggregateRating?.ratingCount)
+            ?? parseReviewCount(reviewsText),
+        companySize: detailTextOf(org.numberOfEmployees?.value ?? org.numberOfEmployees) || labelled.companySize || '',
+        industry: detailTextOf(org.industry) || labelled.industry || '',
+        headquarters: (typeof address === 'string'
+            ? address
+            : detailTextOf([address.addressLocality, address.addressRegion, address.addressCountry].filter(Boolean)))
+            || labelled.headquarters || '',
+        founded: detailTextOf(org.foundingDate) || labelled.founded || '',
+        website: (org.url && !/naukri\.com/.test(org.url) ? org.url : '')
+            || $('a[class*="website"]').first().attr('href')
+            || labelled.website || '',
+        companyUrl,
+        scrapedAt: new Date().toISOString(),
+    };
+}
+/**
+ * Text of the first selector in `selectors` that has non-empty text inside `$el`
+ */
+function readFirstText($el, selectors, field, onSelectorMatch) {
+    for (const sel of selectors) {
+        const text = $el.find(sel).first().text().trim();
+        if (text) {
+            onSelectorMatch(field, sel);
+            return text;
+        }
+    }
+    return '';
+}
+/**
+ * Extract job data from a single job element using the search page selectors from the selector config.
+ * `onSelectorMatch(field, selector)` is called for every field a selector filled.
+ */
+export function extractJobFromElement($, $el, options = {}) {
+    const {
+        fallback = {},
+        selectors = DEFAULT_SELECTOR_CONFIG.searchPage,
+        onSelectorMatch = () => {},
+    } = options;
+    try {
+        // Job Title - multiple possible selectors
+        let title = readFirstText($el, selectors.title, 'title', onSelectorMatch);
+        // Job URL
+        let url = '';
+        for (const sel of selectors.url) {
+            const urlEl = $el.find(sel).first();
+            if (urlEl.length && urlEl.attr('href')) {
+                url = urlEl.attr('href');
+                if (url && !url.startsWith('http')) {
+                    url = `https://www.naukri.com${url}`;
+                }
+                onSelectorMatch('url', sel);
+                break;
+            }
+        }
+        // More resilient URL extraction: find job listing link within the tuple
+        if (!url) {
+            const anchors = $el.find('a[href]').toArray();
+            for (const a of anchors) {
+                const href = ($(a).attr('href') || '').trim();
+                if (!href) continue;
+                if (!href.includes('job-listings') && !href.startsWith('/job-listings')) continue;
+                url = href.startsWith('http') ? href : `https://www.naukri.com${href}`;
+                onSelectorMatch('url', 'a[href] (job listing link)');
+                if (!title) {
+                    title = ($(a).text() || $(a).attr('title') || '').trim();
+                    if (title) onSelectorMatch('title', 'a[href] (job listing link)');
+                }
+                break;
+            }
+        }
+        if (!url) {
+            const dataHref = ($el.attr('data-href') || $el.attr('data-url') || $el.attr('data-jdurl') || '').trim();
+            if (dataHref) {
+                url = dataHref.startsWith('http') ? dataHref : `https://www.naukri.com${dataHref}`;
+                onSelectorMatch('url', 'data-href');
+            }
+        }
+        // Fallback to link-provided title/url when selectors fail
+        if (!title && fallback.title) {
+            title = fallback.title;
+            onSelectorMatch('title', 'job listing link');
+        }
+        if (!url && fallback.url) {
+            url = fallback.url;
+            onSelectorMatch('url', 'job listing link');
+        }
+        const company = readFirstText($el, selectors.company, 'company', onSelectorMatch);
+        // Company profile link ("/acme-jobs-careers-123456")
+        const companyUrl = toAbsoluteNaukriUrl($el.find(selectors.companyLink.join(', ')).first().attr('href'));
+        const location = readFirstText($el, selectors.location, 'location', onSelectorMatch);
+        const experience = readFirstText($el, selectors.experience, 'experience', onSelectorMatch) || 'Not specified';
+        const salary = readFirstText($el, selectors.salary, 'salary', onSelectorMatch) || 'Not specified';
+        // Job snippet/description
+        let snippet = '';
+        let snippetHtml = '';
+        for (const sel of selectors.description) {
+            const descEl = $el.find(sel).first().clone();
+            descEl.find('.similar-jobs, .related-jobs').remove();
+            snippet = descEl.text().trim();
+            if (snippet) {
+                snippetHtml = descEl.html()?.trim() || '';
+                onSelectorMatch('description', sel);
+                break;
+            }
+        }
+        const postedDate = readFirstText($el, selectors.postedDate, 'postedDate', onSelectorMatch);
+        const skills = $el
+            .find(selectors.skills.join(', '))
+            .map((_, tag) => $(tag).text().trim())
+            .get();
+        if (skills.length > 0) onSelectorMatch('skills', selectors.skills.join(', '));
+        // Naukri job ID: card attribute first, then the listing URL
+        const jobId = (
+            $el.attr('data-job-id') ||
+            $el.find('[data-job-id]').first().attr('data-job-id') ||
+            extractJobIdFromUrl(url)
+        ).trim();
+        // Only add if we have at least title or URL
+        if (title || url) {
+            return {
+                jobId,
+                title: title || 'Unknown Title',
+                company,
+                companyId: extractCompanyIdFromUrl(companyUrl),
+                companyUrl: companyUrl ? canonicalizeJobUrl(companyUrl) : '',
+                location,
+                salary,
+                ...parseSalary(salary),
+                experience,
+                ...parseExperience(experience),
+                jobType: 'Not specified',
+                postedDate,
+                skills: detailListOf(skills),
+                descriptionHtml: snippetHtml,
+                descriptionText: snippet,
+                url,
+                scrapedAt: new Date().toISOString()
+            };
+        }
+        return null;
+    } catch (err) {
+        log.debug(`Error extracting individual job: ${err.message}`);
+        return null;
+    }
+}
+/**
+ * Extract jobs from the text of JSON-LD script blocks.
+ * Handles single postings, arrays, `@graph` and ItemList structures.
+ */
+export function extractJobsFromJsonLdScripts(jsonLdScripts) {
+    const jobs = [];
+    for (const scriptContent of jsonLdScripts) {
+        try {
+            const data = JSON.parse(scriptContent);
+            // Handle array of job postings
+            if (Array.isArray(data)) {
+                for (const item of data) {
+                    if (item['@type'] === 'JobPosting') {
+                        jobs.push(parseJobPosting(item));
+                    }
+                }
+            }
+            // Handle single job posting
+            else if (data['@type'] === 'JobPosting') {
+                jobs.push(parseJobPosting(data));
+            }
+            // Handle @graph structure
+            else if (data['@graph']) {
+                for (const item of data['@graph']) {
+                    if (item['@type'] === 'JobPosting') {
+                        jobs.push(parseJobPosting(item));
+                    }
+                }
+            }
+            // Handle ItemList with job postings
+            else if (data['@type'] === 'ItemList' && data.itemListElement) {
+                for (const listItem of data.itemListElement) {
+                    const item = listItem.item || listItem;
+                    if (item['@type'] === 'JobPosting') {
+                        jobs.push(parseJobPosting(item));
+                    }
+                }
+            }
+        } catch (parseErr) {
+            log.debug(`Failed to parse JSON-LD: ${parseErr.message}`);
+        }
+    }
+    return jobs;
+}
+/**
+ * Job object from Naukri's `__NEXT_DATA__` script in raw HTML - the same state the browser
+ * reads from `window.__NEXT_DATA__`, for pages fetched over HTTP
+ */
+export function extractStateJobFromHtml(html) {
+    const $ = cheerio.load(html);
+    try {
+        const pageProps = JSON.parse($('script#__NEXT_DATA__').text() || 'null')?.props?.pageProps;
+        return pageProps?.job || pageProps?.jobDetails || null;
+    } catch {
+        return null;
+    }
+}
+/**
+ * The "Next" pagination link of a results page: `{ href, selector }` for the first
+ * `nextPage` selector with a link whose text is "Next", or null
+ */
+export function findNextPageLink($, selectors, baseUrl) {
+    for (const selector of selectors) {
+        const next = $(selector)
+            .filter((_, el) => $(el).text().trim().toLowerCase() === 'next')
+            .first();
+        const href = next.attr('href') || '';
+        if (!href) continue;
+        try {
+            return { href: new URL(href, baseUrl).toString(), selector };
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+/**
+ * Parse a job detail page: the description plus key skills, role, industry, department,
+ * employment type, education, openings, applicants and posting date,
+ * preferring window state, then JSON-LD, then the DOM.
+ * Returns { blocked: true } for challenge pages and null for 404 or empty pages.
+ * `selectors` is the `detailPage` section of the selector config.
+ * `onSelectorMatch('detailDescription', source)` reports where the description came from.
+ */
+export function parseJobDetailPage(html, options = {}) {
+    const {
+        stateJob = null,
+        jobUrl = '',
+        selectors = DEFAULT_SELECTOR_CONFIG.detailPage,
+        onSelectorMatch = () => {},
+    } = options;
+    const $ = cheerio.load(html);
+    const title = $('title').text();
+    const bodyText = $('body').text();
+    if (isChallengePage(title, bodyText)) {
+        log.warning(`⚠ Blocked page: ${title}`);
+        return { blocked: true };
+    }
+    if (isLikelyNotFoundPage(title, bodyText)) {
+        log.warning(`❌ Job page not found: ${jobUrl}`);
+        return null;
+    }
+    const jsonLdPosting = readJsonLdJobPosting($);
+    // Remove noise
+    $('script, style, noscript, .apply-button, .actions').remove();
+    const details = pickDetailFields(
+        parseJobDetailsFromState(stateJob),
+        parseJobDetailsFromJsonLd(jsonLdPosting),
+        parseJobDetailsFromDom($, selectors),
+    );
+    let description = null;
+    let descriptionSource = '';
+    if (stateJob?.description) {
+        const desc = String(stateJob.description);
+        const isHtml = /<[^>]+>/.test(desc);
+        log.info(`✓ Window state (${desc.length} chars)`);
+        description = {
+            descriptionHtml: isHtml ? desc : `<p>${desc}</p>`,
+            descriptionText: isHtml ? stripHtml(desc) : desc
+        };
+        descriptionSource = 'window state';
+    }
+    // Try clean extraction, one selector at a time to know which one matched
+    for (const selector of selectors.description) {
+        if (description) break;
+        description = extractCleanSectionFromCheerio($, [selector], 30);
+        if (description) descriptionSource = selector;
+    }
+    // Try JSON-LD
+    if (!description && jsonLdPosting?.description) {
+        const desc = String(jsonLdPosting.description);
+        const isHtml = /<[^>]+>/.test(desc);
+        log.info(`✓ JSON-LD (${desc.length} chars)`);
+        description = {
+            descriptionHtml: isHtml ? sanitizeHtmlFragment(desc) : `<p>${desc}</p>`,
+            descriptionText: isHtml ? htmlToReadableText(desc) : desc
+        };
+        descriptionSource = 'JSON-LD';
+    }
+    // Try raw extraction
+    for (const selector of selectors.description) {
+        if (description) break;
+        description = extractRawDescription($, [selector]);
+        if (description) descriptionSource = `${selector} (raw)`;
+    }
+    if (description) {
+        onSelectorMatch('detailDescription', descriptionSource);
+        log.info(`✓ Detail extraction (${description.descriptionText.length} chars, ${Object.keys(details).length} detail fields)`);
+        return { ...description, ...details };
+    }
+    log.warning(`❌ No description found: ${jobUrl}`);
+    return Object.keys(details).length > 0 ? details : null;
+}
+/**
+ * Extract job cards from a search results page HTML using the search page selectors from the selector config.
+ * `onSelectorMatch(field, selector)` reports the card and field selectors used for each extracted job.
+ */
+export function extractJobsFromHtml(html, { selectors = DEFAULT_SELECTOR_CONFIG.searchPage, onSelectorMatch = () => {} } = {}) {
+    const $ = cheerio.load(html);
+    const jobs = [];
+    const seenKeys = new Set();
+    // Extract one card, skipping duplicates; selector matches only count for kept jobs
+    const addJob = ($card, cardSelector, fallback = {}) => {
+        const matches = [];
+        const job = extractJobFromElement($, $card, {
+            fallback,
+            selectors,
+            onSelectorMatch: (field, selector) => matches.push([field, selector]),
+        });
+        if (!job || !job.url || seenKeys.has(getJobDedupKey(job))) return;
+        seenKeys.add(getJobDedupKey(job));
+        jobs.push(job);
+        onSelectorMatch('card', cardSelector);
+        for (const [field, selector] of matches) onSelectorMatch(field, selector);
+    };
+    const cardSelectorOf = (element) => selectors.card.find((selector) => $(element).is(selector));
+    // Primary selector: "tuple"/"jobTuple" blocks
+    const jobElements = $(selectors.card.join(','));
+    log.info(`Found ${jobElements.length} job cards`);
+    if (jobElements.length === 0) {
+        // Fallback: card containers
+        for (const selector of selectors.cardContainer) {
+            const elements = $(selector);
+            if (elements.length > 0) {
+                log.info(`Fallback: Found ${elements.length} elements with selector: ${selector}`);
+                elements.each((_, element) => {
+                    // If this is a container, try extracting tuples within it first
+                    const container = $(element);
+                    const tuples = container.find(selectors.card.join(', '));
+                    if (tuples.length) {
+                        tuples.each((__, tupleEl) => addJob($(tupleEl), `${selector} ${cardSelectorOf(tupleEl)}`));
+                    } else {
+                        addJob(container, selector);
+                    }
+                });
+                if (jobs.length > 0) break;
+            }
+        }
+    } else {
+        jobElements.each((_, element) => addJob($(element), cardSelectorOf(element)));
+    }
+    // If tuple-based parsing failed, fall back to job listing links and climb up to their containers
+    if (jobs.length === 0) {
+        const jobLinkEls = $(selectors.jobLink.join(', ')).toArray();
+        log.info(`Fallback: Found ${jobLinkEls.length} job listing links`);
+        for (const el of jobLinkEls) {
+            const $link = $(el);
+            const href = $link.attr('href') || '';
+            if (!href) continue;
+            const absoluteUrl = href.startsWith('http') ? href : `https://www.naukri.com${href}`;
+            if (seenKeys.has(getJobDedupKey({ jobId: extractJobIdFromUrl(absoluteUrl), url: absoluteUrl }))) continue;
+            const titleFromLink = ($link.text() || $link.attr('title') || '').trim();
+            const container = $link.closest('article, div');
+            addJob(container.length ? container : $link.parent(), 'job listing link container', {
+                title: titleFromLink,
+                url: absoluteUrl,
+            });
+        }
+    }
+    return jobs;
+}
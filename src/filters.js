@@ -0,0 +1,107 @@
+import { log } from 'apify';
+
+import { parsePostedDate } from './normalizers.js';
+
+export const SALARY_PERIODS_PER_YEAR = { YEAR: 1, MONTH: 12, WEEK: 52, DAY: 260, HOUR: 2080 };
+function toLowerList(values) {
+    return (values || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+}
+/**
+ * Build client-side job filters from input. Returns null when no filter is configured.
+ * Naukri does not reliably apply URL filters, so these are re-checked on every job.
+ */
+export function buildJobFilters(input) {
+    const toNumber = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+    const filters = {
+        salaryMinAnnual: toNumber(input.salaryMin) != null ? toNumber(input.salaryMin) * 100000 : null,
+        keepUndisclosedSalary: input.keepUndisclosedSalary ?? true,
+        experienceMin: toNumber(input.experienceMin),
+        experienceMax: toNumber(input.experienceMax),
+        includeCompanies: toLowerList(input.includeCompanies),
+        excludeCompanies: toLowerList(input.excludeCompanies),
+        requiredKeywords: toLowerList(input.requiredKeywords),
+        excludedKeywords: toLowerList(input.excludedKeywords),
+        postedWithinDays: toNumber(input.postedWithinDays),
+    };
+    for (const key of ['salaryMinAnnual', 'experienceMin', 'experienceMax', 'postedWithinDays']) {
+        if (filters[key] != null && (!Number.isFinite(filters[key]) || filters[key] < 0)) {
+            throw new Error(`Invalid input: filter "${key}" must be a non-negative number`);
+        }
+    }
+    const isActive =
+        filters.salaryMinAnnual != null ||
+        filters.experienceMin != null ||
+        filters.experienceMax != null ||
+        filters.includeCompanies.length > 0 ||
+        filters.excludeCompanies.length > 0 ||
+        filters.requiredKeywords.length > 0 ||
+        filters.excludedKeywords.length > 0 ||
+        filters.postedWithinDays != null;
+    return isActive ? filters : null;
+}
+/**
+ * Age of a posting in days from ISO dates or Naukri's relative text ("3 Days Ago", "Just Now").
+ * Returns null when the age cannot be determined.
+ */
+export function getPostedAgeDays(postedDate, now = Date.now()) {
+    const { postedAt } = parsePostedDate(postedDate, new Date(now).toISOString());
+    if (!postedAt) return null;
+    return Math.max(0, Math.floor((now - Date.parse(postedAt)) / 86400000));
+}
+/**
+ * Return the reason a job fails the filters, or null when it passes.
+ * Jobs with unknown salary/experience/date are kept unless stated otherwise, and so are
+ * salaries in other currencies than INR.
+ */
+export function getFilterRejectionReason(job, filters, { skipKeywords = false } = {}) {
+    if (filters.salaryMinAnnual != null) {
+        if (!job.isSalaryDisclosed) {
+            if (!filters.keepUndisclosedSalary) return 'undisclosedSalary';
+        } else if (!job.salaryCurrency || job.salaryCurrency === 'INR') {
+            // The minimum is in INR - salaries in other currencies are kept, as they cannot be compared
+            const perYear = SALARY_PERIODS_PER_YEAR[job.salaryPeriod] || 1;
+            const annualMax = (job.salaryMax ?? job.salaryMin) * perYear;
+            if (annualMax < filters.salaryMinAnnual) return 'salaryBelowMinimum';
+        }
+    }
+    if (filters.experienceMin != null || filters.experienceMax != null) {
+        const jobMin = job.experienceMinYears;
+        const jobMax = job.experienceMaxYears ?? jobMin;
+        if (jobMin != null) {
+            if (filters.experienceMax != null && jobMin > filters.experienceMax) return 'experienceOutOfRange';
+            if (filters.experienceMin != null && jobMax != null && jobMax < filters.experienceMin) {
+                return 'experienceOutOfRange';
+            }
+        }
+    }
+    const company = (job.company || '').toLowerCase();
+    if (filters.includeCompanies.length > 0 && !filters.includeCompanies.some((c) => company.includes(c))) {
+        return 'companyNotIncluded';
+    }
+    if (filters.excludeCompanies.some((c) => company.includes(c))) return 'companyExcluded';
+    if (filters.postedWithinDays != null) {
+        const ageDays = getPostedAgeDays(job.postedDate);
+        if (ageDays != null && ageDays > filters.postedWithinDays) return 'postedTooLongAgo';
+    }
+    if (!skipKeywords) {
+        const haystack = `${job.title || ''}\n${job.descriptionText || ''}`.toLowerCase();
+        if (filters.requiredKeywords.some((k) => !haystack.includes(k))) return 'missingRequiredKeyword';
+        if (filters.excludedKeywords.some((k) => haystack.includes(k))) return 'excludedKeyword';
+    }
+    return null;
+}
+/**
+ * Split jobs into those passing the filters and per-reason counts of those rejected
+ */
+export function applyJobFilters(jobs, filters, options = {}) {
+    const rejectedByReason = {};
+    if (!filters) return { kept: jobs, rejectedByReason };
+    const kept = jobs.filter((job) => {
+        const reason = getFilterRejectionReason(job, filters, options);
+        if (!reason) return true;
+        rejectedByReason[reason] = (rejectedByReason[reason] || 0) + 1;
+        log.debug(`Filtered out (${reason}): ${job.title} (${job.url})`);
+        return false;
+    });
+    return { kept, rejectedByReason };
+}
@@ -0,0 +1,158 @@
+import { log } from 'apify';
+import * as cheerio from 'cheerio';
+
+/**
+ * Strip HTML tags from string
+ */
+export function stripHtml(html) {
+    if (!html) return '';
+    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+/**
+ * Challenge / anti-bot interstitial detection (Cloudflare, Turnstile, rate limiting)
+ */
+export function isChallengePage(titleText, bodyText = '') {
+    const title = titleText || '';
+    const body = bodyText || '';
+    return /Just a moment|Access Denied|Cloudflare|Security check/i.test(title)
+        || body.includes('unusual traffic')
+        || body.includes('Checking your browser');
+}
+export function isLikelyNotFoundPage(titleText, bodyText) {
+    const title = (titleText || '').toLowerCase();
+    const body = (bodyText || '').toLowerCase();
+    return title.includes('404') || body.includes('this page could not be found') || body.includes('page could not be found');
+}
+export function sanitizeHtmlFragment(html) {
+    if (!html) return '';
+    const $ = cheerio.load(`<div id="__root">${html}</div>`);
+    const root = $('#__root');
+    // Remove noisy/unsafe content
+    root.find('script, style, noscript, svg, img, iframe, canvas, form, input, button, link, meta').remove();
+    // Keep only a small allowlist of semantic tags; unwrap everything else
+    const allowedTags = new Set(['p', 'ul', 'ol', 'li', 'br', 'strong', 'b', 'em', 'i', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a']);
+    root.find('*').each((_, el) => {
+        const tag = (el.tagName || '').toLowerCase();
+        if (!tag || allowedTags.has(tag)) return;
+        $(el).replaceWith($(el).contents());
+    });
+    // Remove event handlers + styling attributes + classes/ids
+    root.find('*').each((_, el) => {
+        const attribs = el.attribs || {};
+        for (const name of Object.keys(attribs)) {
+            const lower = name.toLowerCase();
+            if (lower === 'href') continue; // keep links
+            if (lower.startsWith('on')) {
+                $(el).removeAttr(name);
+                continue;
+            }
+            $(el).removeAttr(name);
+        }
+    });
+    // Remove empty nodes
+    root.find('*').each((_, el) => {
+        const $el = $(el);
+        if ($el.children().length === 0 && !$el.text().trim()) $el.remove();
+    });
+    return root.html()?.trim() || '';
+}
+export function htmlToReadableText(html) {
+    if (!html) return '';
+    const $ = cheerio.load(`<div id="__root">${html}</div>`);
+    const root = $('#__root');
+    root.find('script, style, noscript, svg, img, iframe, canvas, form, input, button, link, meta').remove();
+    const lines = [];
+    root.find('h1,h2,h3,h4,h5,h6,p,li').each((_, el) => {
+        const tag = (el.tagName || '').toLowerCase();
+        const t = $(el).text().trim();
+        if (!t) return;
+        if (tag === 'li') lines.push(`- ${t}`);
+        else lines.push(t);
+    });
+    // Fallback if no semantic blocks present
+    if (lines.length === 0) {
+        const t = root.text().trim();
+        if (t) lines.push(t);
+    }
+    return lines
+        .join('\n')
+        .replace(/\r/g, '')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+export function extractCleanSectionFromCheerio($, selectors, minTextLength = 30) {
+    for (const selector of selectors) {
+        const el = $(selector).first();
+        if (!el.length) continue;
+        const rawText = el.text().trim();
+        if (!rawText || rawText.length < minTextLength) continue;
+        const rawHtml = el.html()?.trim() || '';
+        if (!rawHtml) continue;
+        const sanitizedHtml = sanitizeHtmlFragment(rawHtml);
+        if (!sanitizedHtml || sanitizedHtml.length > 120000) continue;
+        const loweredHtml = sanitizedHtml.toLowerCase();
+        if (loweredHtml.includes('__next_f') || loweredHtml.includes('static.naukimg.com') || loweredHtml.includes('_next/static')) {
+            continue;
+        }
+        const text = htmlToReadableText(sanitizedHtml);
+        if (/this page could not be found|checking your browser|just a moment/i.test(text)) {
+            continue;
+        }
+        if (text && text.length >= minTextLength) {
+            log.info(`✓ Description found: ${selector} (${text.length} chars)`);
+            return { descriptionHtml: sanitizedHtml, descriptionText: text };
+        }
+    }
+    return null;
+}
+// Simple raw extraction without sanitization - fallback when clean method fails
+export function extractRawDescription($, selectors) {
+    for (const selector of selectors) {
+        const el = $(selector).first();
+        if (!el.length) continue;
+        const rawHtml = el.html()?.trim() || '';
+        const rawText = el.text().trim();
+        if (rawText && rawText.length >= 100 && rawHtml) {
+            log.info(`✓ RAW description: ${selector} (${rawText.length} chars)`);
+            return {
+                descriptionHtml: rawHtml,
+                descriptionText: rawText
+            };
+        }
+    }
+    return null;
+}
+/**
+ * Read "Label: value" pairs from the DOM into fields named by `labelFields`.
+ * The value is the label's next sibling, or the parent text without the label.
+ */
+export function readLabelledValues($, labelFields, labelSelector = 'label') {
+    const values = {};
+    $(labelSelector).each((_, el) => {
+        const $label = $(el);
+        const key = $label.text().replace(/:\s*$/, '').trim().toLowerCase();
+        const field = labelFields[key];
+        if (!field || values[field] != null) return;
+        const value = ($label.next().text() || $label.parent().text().replace($label.text(), '')).replace(/\s+/g, ' ').trim();
+        if (value) values[field] = value;
+    });
+    return values;
+}
+/**
+ * First JSON-LD object of one of the given `@type`s on the page
+ */
+export function readJsonLdOfType($, types) {
+    const jsonLdScripts = $('script[type="application/ld+json"]').map((_, el) => $(el).text()).get();
+    for (const script of jsonLdScripts) {
+        try {
+            const data = JSON.parse(script);
+            const items = Array.isArray(data) ? data : [data, ...(data?.['@graph'] || [])];
+            const match = items.find((item) => types.includes(item?.['@type']));
+            if (match) return match;
+        } catch {
+            // ignore invalid JSON-LD blocks
+        }
+    }
+    return null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Extract the numeric Naukri job ID from a listing URL
+ * (".../job-listings-sales-executive-acme-mumbai-1-to-3-years-101024500123?src=...")
+ */
+export function extractJobIdFromUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url, 'https://www.naukri.com');
+        const fromParam = parsed.searchParams.get('jobId') || parsed.searchParams.get('jid');
+        if (fromParam && /^\d+$/.test(fromParam)) return fromParam;
+        const match = parsed.pathname.replace(/\/$/, '').match(/-(\d{9,})$/);
+        return match ? match[1] : '';
+    } catch {
+        return '';
+    }
+}
+/**
+ * Read the job ID from JSON-LD `identifier` (PropertyValue, string or array)
+ */
+export function getJsonLdJobId(jobData) {
+    const identifiers = Array.isArray(jobData?.identifier) ? jobData.identifier : [jobData?.identifier];
+    for (const identifier of identifiers) {
+        if (!identifier) continue;
+        const value = typeof identifier === 'object' ? identifier.value ?? identifier.name : identifier;
+        if (value != null && String(value).trim()) return String(value).trim();
+    }
+    return '';
+}
+/**
+ * Canonical job URL without tracking query strings, hash or trailing slash
+ */
+export function canonicalizeJobUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url, 'https://www.naukri.com');
+        return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/$/, '')}`;
+    } catch {
+        return url.trim();
+    }
+}
+export function toAbsoluteNaukriUrl(href) {
+    const value = (href || '').trim();
+    if (!value) return '';
+    return value.startsWith('http') ? value : `https://www.naukri.com${value.startsWith('/') ? '' : '/'}${value}`;
+}
+/**
+ * Extract the numeric company ID from a Naukri company URL
+ * ("/acme-jobs-careers-123456", "/acme-overview-123456")
+ */
+export function extractCompanyIdFromUrl(url) {
+    if (!url) return '';
+    try {
+        const match = new URL(url, 'https://www.naukri.com').pathname.replace(/\/$/, '').match(/-(\d+)$/);
+        return match ? match[1] : '';
+    } catch {
+        return '';
+    }
+}
+/**
+ * Company "jobs-careers" links point to the company's job list; the profile lives on the overview page
+ */
+export function toCompanyOverviewUrl(url) {
+    const canonical = canonicalizeJobUrl(url);
+    return canonical.replace(/-jobs-careers-(\d+)$/, '-overview-$1');
+}
+/**
+ * Deduplication key: Naukri job ID, then canonical URL, then title + company + location
+ */
+export function getJobDedupKey(job) {
+    if (job.jobId) return `id:${job.jobId}`;
+    if (job.url) return `url:${canonicalizeJobUrl(job.url)}`;
+    const fallback = [job.title, job.company, job.location].map((v) => (v || '').trim().toLowerCase()).join('|');
+    return fallback.replace(/\|/g, '') ? `text:${fallback}` : '';
+}
@@ -0,0 +1,260 @@
+// Cities under the name and URL slug Naukri uses, with their state and the spellings people
+// type for them. Cities not listed here are slugified as typed and get no state.
+const CITIES = [
+    { name: 'Bengaluru', slug: 'bengaluru', state: 'Karnataka', aliases: ['bangalore', 'blr', 'bangaluru'] },
+    { name: 'Mumbai', slug: 'mumbai', state: 'Maharashtra', aliases: ['bombay', 'mumbai city', 'mumbai suburban'] },
+    { name: 'Navi Mumbai', slug: 'navi-mumbai', state: 'Maharashtra', aliases: ['new mumbai'] },
+    { name: 'Thane', slug: 'thane', state: 'Maharashtra', aliases: [] },
+    { name: 'Pune', slug: 'pune', state: 'Maharashtra', aliases: ['poona'] },
+    { name: 'Nagpur', slug: 'nagpur', state: 'Maharashtra', aliases: [] },
+    { name: 'Nashik', slug: 'nashik', state: 'Maharashtra', aliases: ['nasik'] },
+    { name: 'Aurangabad', slug: 'aurangabad', state: 'Maharashtra', aliases: ['chhatrapati sambhajinagar'] },
+    {
+        name: 'Delhi / NCR',
+        slug: 'delhi-ncr',
+        state: 'Delhi',
+        aliases: ['delhi', 'new delhi', 'ncr', 'delhi ncr', 'delhi/ncr'],
+    },
+    { name: 'Gurugram', slug: 'gurugram', state: 'Haryana', aliases: ['gurgaon'] },
+    { name: 'Faridabad', slug: 'faridabad', state: 'Haryana', aliases: [] },
+    { name: 'Panchkula', slug: 'panchkula', state: 'Haryana', aliases: [] },
+    { name: 'Sonipat', slug: 'sonipat', state: 'Haryana', aliases: ['sonepat'] },
+    { name: 'Noida', slug: 'noida', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Greater Noida', slug: 'greater-noida', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Ghaziabad', slug: 'ghaziabad', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Lucknow', slug: 'lucknow', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Kanpur', slug: 'kanpur', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Agra', slug: 'agra', state: 'Uttar Pradesh', aliases: [] },
+    { name: 'Varanasi', slug: 'varanasi', state: 'Uttar Pradesh', aliases: ['benares', 'banaras'] },
+    { name: 'Hyderabad', slug: 'hyderabad', state: 'Telangana', aliases: ['secunderabad', 'hyd'] },
+    { name: 'Warangal', slug: 'warangal', state: 'Telangana', aliases: [] },
+    { name: 'Chennai', slug: 'chennai', state: 'Tamil Nadu', aliases: ['madras'] },
+    { name: 'Coimbatore', slug: 'coimbatore', state: 'Tamil Nadu', aliases: ['kovai'] },
+    { name: 'Madurai', slug: 'madurai', state: 'Tamil Nadu', aliases: [] },
+    { name: 'Tiruchirappalli', slug: 'tiruchirappalli', state: 'Tamil Nadu', aliases: ['trichy', 'tiruchirapalli'] },
+    { name: 'Hosur', slug: 'hosur', state: 'Tamil Nadu', aliases: [] },
+    { name: 'Kolkata', slug: 'kolkata', state: 'West Bengal', aliases: ['calcutta'] },
+    { name: 'Ahmedabad', slug: 'ahmedabad', state: 'Gujarat', aliases: ['amdavad'] },
+    { name: 'Gandhinagar', slug: 'gandhinagar', state: 'Gujarat', aliases: [] },
+    { name: 'Vadodara', slug: 'vadodara', state: 'Gujarat', aliases: ['baroda'] },
+    { name: 'Surat', slug: 'surat', state: 'Gujarat', aliases: [] },
+    { name: 'Rajkot', slug: 'rajkot', state: 'Gujarat', aliases: [] },
+    { name: 'Jaipur', slug: 'jaipur', state: 'Rajasthan', aliases: [] },
+    { name: 'Jodhpur', slug: 'jodhpur', state: 'Rajasthan', aliases: [] },
+    { name: 'Udaipur', slug: 'udaipur', state: 'Rajasthan', aliases: [] },
+    { name: 'Chandigarh', slug: 'chandigarh', state: 'Chandigarh', aliases: ['tricity'] },
+    { name: 'Mohali', slug: 'mohali', state: 'Punjab', aliases: ['sas nagar'] },
+    { name: 'Ludhiana', slug: 'ludhiana', state: 'Punjab', aliases: [] },
+    { name: 'Amritsar', slug: 'amritsar', state: 'Punjab', aliases: [] },
+    { name: 'Indore', slug: 'indore', state: 'Madhya Pradesh', aliases: [] },
+    { name: 'Bhopal', slug: 'bhopal', state: 'Madhya Pradesh', aliases: [] },
+    { name: 'Gwalior', slug: 'gwalior', state: 'Madhya Pradesh', aliases: [] },
+    { name: 'Jabalpur', slug: 'jabalpur', state: 'Madhya Pradesh', aliases: [] },
+    { name: 'Raipur', slug: 'raipur', state: 'Chhattisgarh', aliases: [] },
+    { name: 'Kochi', slug: 'kochi', state: 'Kerala', aliases: ['cochin', 'ernakulam'] },
+    { name: 'Thiruvananthapuram', slug: 'thiruvananthapuram', state: 'Kerala', aliases: ['trivandrum'] },
+    { name: 'Kozhikode', slug: 'kozhikode', state: 'Kerala', aliases: ['calicut'] },
+    { name: 'Mysuru', slug: 'mysuru', state: 'Karnataka', aliases: ['mysore'] },
+    { name: 'Mangaluru', slug: 'mangaluru', state: 'Karnataka', aliases: ['mangalore'] },
+    { name: 'Hubballi', slug: 'hubballi', state: 'Karnataka', aliases: ['hubli', 'hubli-dharwad'] },
+    { name: 'Visakhapatnam', slug: 'visakhapatnam', state: 'Andhra Pradesh', aliases: ['vizag', 'vishakhapatnam'] },
+    { name: 'Vijayawada', slug: 'vijayawada', state: 'Andhra Pradesh', aliases: [] },
+    { name: 'Tirupati', slug: 'tirupati', state: 'Andhra Pradesh', aliases: [] },
+    { name: 'Bhubaneswar', slug: 'bhubaneswar', state: 'Odisha', aliases: ['bhubaneshwar'] },
+    { name: 'Patna', slug: 'patna', state: 'Bihar', aliases: [] },
+    { name: 'Ranchi', slug: 'ranchi', state: 'Jharkhand', aliases: [] },
+    { name: 'Jamshedpur', slug: 'jamshedpur', state: 'Jharkhand', aliases: [] },
+    { name: 'Guwahati', slug: 'guwahati', state: 'Assam', aliases: ['gauhati'] },
+    { name: 'Dehradun', slug: 'dehradun', state: 'Uttarakhand', aliases: [] },
+    { name: 'Shimla', slug: 'shimla', state: 'Himachal Pradesh', aliases: [] },
+    { name: 'Jammu', slug: 'jammu', state: 'Jammu and Kashmir', aliases: [] },
+    { name: 'Srinagar', slug: 'srinagar', state: 'Jammu and Kashmir', aliases: [] },
+    { name: 'Puducherry', slug: 'puducherry', state: 'Puducherry', aliases: ['pondicherry'] },
+    { name: 'Goa', slug: 'goa', state: 'Goa', aliases: ['panaji', 'panjim'] },
+];
+
+// States and union territories, recognized in JSON-LD style "City, State, Country" locations
+const STATES = [
+    'Andhra Pradesh',
+    'Arunachal Pradesh',
+    'Assam',
+    'Bihar',
+    'Chhattisgarh',
+    'Goa',
+    'Gujarat',
+    'Haryana',
+    'Himachal Pradesh',
+    'Jharkhand',
+    'Karnataka',
+    'Kerala',
+    'Madhya Pradesh',
+    'Maharashtra',
+    'Manipur',
+    'Meghalaya',
+    'Mizoram',
+    'Nagaland',
+    'Odisha',
+    'Punjab',
+    'Rajasthan',
+    'Sikkim',
+    'Tamil Nadu',
+    'Telangana',
+    'Tripura',
+    'Uttar Pradesh',
+    'Uttarakhand',
+    'West Bengal',
+    'Andaman and Nicobar Islands',
+    'Chandigarh',
+    'Dadra and Nagar Haveli and Daman and Diu',
+    'Delhi',
+    'Jammu and Kashmir',
+    'Ladakh',
+    'Lakshadweep',
+    'Puducherry',
+];
+
+const toLookupKey = (value) =>
+    String(value)
+        .toLowerCase()
+        .replace(/\s*\/\s*/g, '/')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+const CITY_BY_ALIAS = new Map(
+    CITIES.flatMap((city) =>
+        [city.name, city.slug.replace(/-/g, ' '), ...city.aliases].map((alias) => [toLookupKey(alias), city]),
+    ),
+);
+
+/**
+ * URL slug of free text: lowercase words joined by single hyphens
+ */
+export function slugify(value) {
+    return String(value)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Naukri's name and slug for a city, resolving aliases ("Bangalore" -> Bengaluru, "Gurgaon" -> Gurugram).
+ * Unknown cities keep the typed name.
+ */
+export function normalizeCity(value) {
+    const name = String(value || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!name) return null;
+    const city = CITY_BY_ALIAS.get(toLookupKey(name));
+    return city ? { name: city.name, slug: city.slug } : { name, slug: slugify(name) };
+}
+
+/**
+ * Split a location input into cities: "Mumbai, Pune; Bangalore" or an array of them.
+ * Duplicates after alias resolution are dropped.
+ */
+export function splitLocations(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+    const cities = [];
+    for (const part of parts) {
+        const city = normalizeCity(part);
+        if (city?.slug && !cities.some((c) => c.slug === city.slug)) cities.push(city);
+    }
+    return cities;
+}
+
+const STATE_BY_KEY = new Map(STATES.map((state) => [toLookupKey(state), state]));
+const COUNTRY_BY_KEY = new Map([
+    ['india', 'India'],
+    ['in', 'India'],
+    ['ind', 'India'],
+    ['united arab emirates', 'United Arab Emirates'],
+    ['uae', 'United Arab Emirates'],
+    ['saudi arabia', 'Saudi Arabia'],
+    ['qatar', 'Qatar'],
+    ['united states', 'United States'],
+    ['usa', 'United States'],
+    ['united kingdom', 'United Kingdom'],
+    ['uk', 'United Kingdom'],
+]);
+// Work mode words mixed into Naukri location text: "Hybrid - Mumbai", "Pune (Remote)", "Permanent WFH"
+const WORK_MODE_MARKERS =
+    /\b(?:(?:permanent|temporary|temp)\.?\s+)?(?:remote|hybrid|work from (?:home|office)|wfh|wfo|on-?site|in[- ]office)\b/gi;
+const GENERIC_LOCALITY = /^(?:all areas|all locations|any location|multiple locations?)$/i;
+
+/**
+ * Split text on commas, semicolons, pipes and slashes outside parentheses
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(0, depth - 1);
+        if (depth === 0 && /[,;|/]/.test(char)) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Parse Naukri location text ("Mumbai, Pune, Bengaluru (Hybrid)", "Hybrid - Mumbai( Andheri East )",
+ * JSON-LD "Pune, Maharashtra, India") into `locations` of `{ city, locality, state, country }` and a
+ * `workMode` of remote, hybrid or onsite. Cities are resolved to Naukri's names and their state
+ * through the city table; states and countries after a city fill in that city.
+ */
+export function parseJobLocation(text) {
+    const raw = String(text || '');
+    const isHybrid = /\bhybrid\b/i.test(raw);
+    const isRemote = /\b(?:remote|work from home|wfh)\b/i.test(raw);
+    const isOnsite = /\b(?:work from office|wfo|on-?site|in[- ]office)\b/i.test(raw);
+    const cleaned = raw.replace(WORK_MODE_MARKERS, ' ').replace(/delhi\s*\/\s*ncr/gi, 'Delhi NCR');
+    const locations = [];
+    for (const part of splitTopLevel(cleaned)) {
+        const name = part
+            .replace(/\(.*$/, '')
+            .replace(/^[\s\-–:]+|[\s\-–:]+$/g, '')
+            .replace(/\s+/g, ' ');
+        if (!name) continue;
+        const localityText = (part.match(/\(([^)]*)\)?/)?.[1] || '').replace(/\s+/g, ' ').trim();
+        const locality = localityText && !GENERIC_LOCALITY.test(localityText) ? localityText : null;
+        const key = toLookupKey(name);
+        const previous = locations[locations.length - 1];
+        if (COUNTRY_BY_KEY.has(key)) {
+            if (!previous) {
+                // Country-only locations such as "Remote, India"
+                locations.push({ city: null, locality: null, state: null, country: COUNTRY_BY_KEY.get(key) });
+            } else if (!previous.country) {
+                previous.country = COUNTRY_BY_KEY.get(key);
+            }
+            continue;
+        }
+        const state = STATE_BY_KEY.get(key);
+        if (state && previous && (!previous.state || previous.state === state)) {
+            previous.state = state;
+            previous.country ??= 'India';
+            continue;
+        }
+        const city = CITY_BY_ALIAS.get(key);
+        const location = city
+            ? { city: city.name, locality, state: city.state, country: 'India' }
+            : { city: name, locality, state: state || null, country: state ? 'India' : null };
+        const isDuplicate = locations.some(
+            (l) => l.city?.toLowerCase() === location.city.toLowerCase() && l.locality === location.locality,
+        );
+        if (!isDuplicate) locations.push(location);
+    }
+    let workMode = null;
+    if (isHybrid) workMode = 'hybrid';
+    else if (isRemote) workMode = 'remote';
+    else if (isOnsite || locations.some((location) => location.city)) workMode = 'onsite';
+    return { locations, workMode };
+}
@@ -1,8 +1,34 @@
 import { Actor, log } from 'apify';
-import { PlaywrightCrawler } from 'crawlee';
 import { launchOptions as camoufoxLaunchOptions } from 'camoufox-js';
-import { firefox } from 'playwright';
 import * as cheerio from 'cheerio';
+import { CheerioCrawler, PlaywrightCrawler, ProxyConfiguration } from 'crawlee';
+import { firefox } from 'playwright';
+
+import { CRAWL_STATE_KEY, createCrawlState, resumeCrawlState } from './crawl-state.js';
+import { segmentDescription } from './description-sections.js';
+import {
+    extractJobsFromHtml,
+    extractJobsFromJsonLdScripts,
+    extractStateJobFromHtml,
+    findNextPageLink,
+    parseCompanyProfile,
+    parseJobDetailPage,
+} from './extractors.js';
+import { applyJobFilters, buildJobFilters } from './filters.js';
+import { extractCleanSectionFromCheerio, isChallengePage } from './html.js';
+import { canonicalizeJobUrl, extractCompanyIdFromUrl, getJobDedupKey, toCompanyOverviewUrl } from './identifiers.js';
+import { parseJobLocation } from './locations.js';
+import { parsePostedDate } from './normalizers.js';
+import { createProxyHealth, redactProxyUrl } from './proxy-health.js';
+import { createReportBuilder, renderReportHtml, REPORT_HTML_KEY, REPORT_KEY } from './report.js';
+import { extractJobsFromSearchApi, isSearchApiUrl } from './search-api.js';
+import { buildPageUrl, buildSearches, getPageNumberFromUrl } from './searches.js';
+import { resolveSelectorConfig } from './selector-config.js';
+import { createSelectorHealth } from './selector-health.js';
+import { createBlockedPageError, createSessionStats, isBlockedPageError, SESSION_MAX_AGE_SECS } from './sessions.js';
+import { mergeSkills, SKILL_FREQUENCIES_KEY, summarizeSkillCounts } from './skills.js';
+import { createWebhookSink } from './webhook-sink.js';
+
 // Initialize the Apify SDK
 await Actor.init();
 /**
@@ -15,43 +41,7 @@ async function extractJobsViaJsonLD(page) {
         const jsonLdScripts = await page.$$eval('script[type="application/ld+json"]', scripts =>
             scripts.map(script => script.textContent)
         );
-        const jobs = [];
-        for (const scriptContent of jsonLdScripts) {
-            try {
-                const data = JSON.parse(scriptContent);
-                // Handle array of job postings
-                if (Array.isArray(data)) {
-                    for (const item of data) {
-                        if (item['@type'] === 'JobPosting') {
-                            jobs.push(parseJobPosting(item));
-                        }
-                    }
-                }
-                // Handle single job posting
-                else if (data['@type'] === 'JobPosting') {
-                    jobs.push(parseJobPosting(data));
-                }
-                // Handle @graph structure
-                else if (data['@graph']) {
-                    for (const item of data['@graph']) {
-                        if (item['@type'] === 'JobPosting') {
-                            jobs.push(parseJobPosting(item));
-                        }
-                    }
-                }
-                // Handle ItemList with job postings
-                else if (data['@type'] === 'ItemList' && data.itemListElement) {
-                    for (const listItem of data.itemListElement) {
-                        const item = listItem.item || listItem;
-                        if (item['@type'] === 'JobPosting') {
-                            jobs.push(parseJobPosting(item));
-                        }
-                    }
-                }
-            } catch (parseErr) {
-                log.debug(`Failed to parse JSON-LD: ${parseErr.message}`);
-            }
-        }
+        const jobs = extractJobsFromJsonLdScripts(jsonLdScripts);
         if (jobs.length > 0) {
             log.info(`Extracted ${jobs.length} jobs via JSON-LD`);
         }
@@ -61,228 +51,6 @@ async function extractJobsViaJsonLD(page) {
         return [];
     }
 }
-/**
- * Parse JobPosting schema to our format
- */
-function parseJobPosting(jobData) {
-    const hiringOrg = jobData.hiringOrganization || {};
-    const jobLocation = jobData.jobLocation || {};
-    const address = jobLocation.address || {};
-    let location = '';
-    if (typeof address === 'string') {
-        location = address;
-    } else {
-        location = [
-            address.addressLocality,
-            address.addressRegion,
-            address.addressCountry
-        ].filter(Boolean).join(', ');
-    }
-    let salary = 'Not specified';
-    if (jobData.baseSalary) {
-        const baseSalary = jobData.baseSalary;
-        if (baseSalary.value) {
-            const value = baseSalary.value;
-            if (typeof value === 'object') {
-                salary = `${value.minValue || ''} - ${value.maxValue || ''} ${baseSalary.currency || ''}`.trim();
-            } else {
-                salary = `${value} ${baseSalary.currency || ''}`.trim();
-            }
-        }
-    }
-    return {
-        title: jobData.title || '',
-        company: hiringOrg.name || '',
-        location: location,
-        salary: salary,
-        jobType: jobData.employmentType || 'Not specified',
-        experience: extractExperience(jobData.description || ''),
-        postedDate: jobData.datePosted || '',
-        descriptionHtml: jobData.description || '',
-        descriptionText: jobData.description ? stripHtml(jobData.description) : '',
-        url: jobData.url || '',
-        scrapedAt: new Date().toISOString()
-    };
-}
-/**
- * Extract experience from description text
- */
-function extractExperience(text) {
-    if (!text) return 'Not specified';
-    const expMatch = text.match(/(\d+)[\s-]+(?:to|-)[\s]*(\d+)[\s]*(?:years?|yrs?)/i);
-    if (expMatch) {
-        return `${expMatch[1]}-${expMatch[2]} years`;
-    }
-    const singleMatch = text.match(/(\d+)[\s]*(?:\+)?[\s]*(?:years?|yrs?)/i);
-    if (singleMatch) {
-        return `${singleMatch[1]}+ years`;
-    }
-    if (text.toLowerCase().includes('fresher')) {
-        return '0-1 years';
-    }
-    return 'Not specified';
-}
-/**
- * Strip HTML tags from string
- */
-function stripHtml(html) {
-    if (!html) return '';
-    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-}
-function isLikelyNotFoundPage(titleText, bodyText) {
-    const title = (titleText || '').toLowerCase();
-    const body = (bodyText || '').toLowerCase();
-    return title.includes('404') || body.includes('this page could not be found') || body.includes('page could not be found');
-}
-function sanitizeHtmlFragment(html) {
-    if (!html) return '';
-    const $ = cheerio.load(`<div id="__root">${html}</div>`);
-    const root = $('#__root');
-    // Remove noisy/unsafe content
-    root.find('script, style, noscript, svg, img, iframe, canvas, form, input, button, link, meta').remove();
-    // Keep only a small allowlist of semantic tags; unwrap everything else
-    const allowedTags = new Set(['p', 'ul', 'ol', 'li', 'br', 'strong', 'b', 'em', 'i', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a']);
-    root.find('*').each((_, el) => {
-        const tag = (el.tagName || '').toLowerCase();
-        if (!tag || allowedTags.has(tag)) return;
-        $(el).replaceWith($(el).contents());
-    });
-    // Remove event handlers + styling attributes + classes/ids
-    root.find('*').each((_, el) => {
-        const attribs = el.attribs || {};
-        for (const name of Object.keys(attribs)) {
-            const lower = name.toLowerCase();
-            if (lower === 'href') continue; // keep links
-            if (lower.startsWith('on')) {
-                $(el).removeAttr(name);
-                continue;
-            }
-            $(el).removeAttr(name);
-        }
-    });
-    // Remove empty nodes
-    root.find('*').each((_, el) => {
-        const $el = $(el);
-        if ($el.children().length === 0 && !$el.text().trim()) $el.remove();
-    });
-    return root.html()?.trim() || '';
-}
-function htmlToReadableText(html) {
-    if (!html) return '';
-    const $ = cheerio.load(`<div id="__root">${html}</div>`);
-    const root = $('#__root');
-    root.find('script, style, noscript, svg, img, iframe, canvas, form, input, button, link, meta').remove();
-    const lines = [];
-    root.find('h1,h2,h3,h4,h5,h6,p,li').each((_, el) => {
-        const tag = (el.tagName || '').toLowerCase();
-        const t = $(el).text().trim();
-        if (!t) return;
-        if (tag === 'li') lines.push(`- ${t}`);
-        else lines.push(t);
-    });
-    // Fallback if no semantic blocks present
-    if (lines.length === 0) {
-        const t = root.text().trim();
-        if (t) lines.push(t);
-    }
-    return lines
-        .join('\n')
-        .replace(/\r/g, '')
-        .replace(/[ \t]+\n/g, '\n')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
-}
-function extractCleanSectionFromCheerio($, selectors, minTextLength = 30) {
-    for (const selector of selectors) {
-        const el = $(selector).first();
-        if (!el.length) continue;
-        const rawText = el.text().trim();
-        if (!rawText || rawText.length < minTextLength) continue;
-        const rawHtml = el.html()?.trim() || '';
-        if (!rawHtml) continue;
-        const sanitizedHtml = sanitizeHtmlFragment(rawHtml);
-        if (!sanitizedHtml || sanitizedHtml.length > 120000) continue;
-        const loweredHtml = sanitizedHtml.toLowerCase();
-        if (loweredHtml.includes('__next_f') || loweredHtml.includes('static.naukimg.com') || loweredHtml.includes('_next/static')) {
-            continue;
-        }
-        const text = htmlToReadableText(sanitizedHtml);
-        if (/this page could not be found|checking your browser|just a moment/i.test(text)) {
-            continue;
-        }
-        if (text && text.length >= minTextLength) {
-            log.info(`✓ Description found: ${selector} (${text.length} chars)`);
-            return { descriptionHtml: sanitizedHtml, descriptionText: text };
-        }
-    }
-    return null;
-}
-// Simple raw extraction without sanitization - fallback when clean method fails
-function extractRawDescription($, selectors) {
-    for (const selector of selectors) {
-        const el = $(selector).first();
-        if (!el.length) continue;
-        const rawHtml = el.html()?.trim() || '';
-        const rawText = el.text().trim();
-        if (rawText && rawText.length >= 100 && rawHtml) {
-            log.info(`✓ RAW description: ${selector} (${rawText.length} chars)`);
-            return {
-                descriptionHtml: rawHtml,
-                descriptionText: rawText
-            };
-        }
-    }
-    return null;
-}
-function normalizeLocationFromJsonLd(jobLocation) {
-    if (!jobLocation) return '';
-    const locations = [];
-    const addLocation = (loc) => {
-        if (!loc) return;
-        if (typeof loc === 'string') {
-            const t = loc.trim();
-            if (t) locations.push(t);
-            return;
-        }
-        const address = loc.address || loc;
-        const locality = address.addressLocality;
-        const region = address.addressRegion;
-        const country = address.addressCountry;
-        const parts = [];
-        if (Array.isArray(locality)) parts.push(locality.filter(Boolean).join(', '));
-        else if (locality) parts.push(locality);
-        if (region) parts.push(region);
-        if (country) parts.push(country);
-        const t = parts.filter(Boolean).join(', ').trim();
-        if (t) locations.push(t);
-    };
-    if (Array.isArray(jobLocation)) jobLocation.forEach(addLocation);
-    else addLocation(jobLocation);
-    return [...new Set(locations)].join(' | ');
-}
-function normalizeSalaryFromJsonLd(baseSalary) {
-    if (!baseSalary) return '';
-    if (typeof baseSalary === 'string') return baseSalary.trim();
-    if (typeof baseSalary.value === 'string') return baseSalary.value.trim();
-    if (baseSalary.value && typeof baseSalary.value === 'object') {
-        const min = baseSalary.value.minValue ?? baseSalary.value.value ?? '';
-        const max = baseSalary.value.maxValue ?? '';
-        const currency = baseSalary.currency ?? '';
-        const unit = baseSalary.value.unitText ?? '';
-        return [min && max ? `${min}-${max}` : `${min}${max ? `-${max}` : ''}`, currency, unit].filter(Boolean).join(' ').trim();
-    }
-    return '';
-}
-function normalizeExperienceFromJsonLd(experienceRequirements) {
-    if (!experienceRequirements) return '';
-    if (typeof experienceRequirements === 'string') return experienceRequirements.trim();
-    const months = experienceRequirements.monthsOfExperience ?? experienceRequirements.months ?? null;
-    if (months == null) return '';
-    const m = Number(months);
-    if (!Number.isFinite(m) || m <= 0) return '';
-    const years = Math.max(0, Math.round((m / 12) * 10) / 10);
-    return `${years} years`;
-}
 async function fetchDescriptionViaPage(jobUrl, page) {
     const context = page.context();
     const primarySelectors = [
@@ -377,55 +145,49 @@ async function fetchDescriptionViaPage(jobUrl, page) {
         await pageDetail.close().catch(() => { });
     }
 }
-function parseJobPostingJsonLdCandidate(candidate) {
-    if (!candidate || candidate['@type'] !== 'JobPosting') return null;
-    const title = candidate.title || candidate.name || '';
-    const jobId = candidate.identifier?.value || candidate.identifier?.name || '';
-    const company = candidate.hiringOrganization?.name || '';
-    const location = normalizeLocationFromJsonLd(candidate.jobLocation);
-    const postedDate = candidate.datePosted || '';
-    const jobType = Array.isArray(candidate.employmentType)
-        ? candidate.employmentType.filter(Boolean).join(', ')
-        : (candidate.employmentType || '');
-    const experience = normalizeExperienceFromJsonLd(candidate.experienceRequirements);
-    const salary = normalizeSalaryFromJsonLd(candidate.baseSalary);
-    const skills = Array.isArray(candidate.skills) ? candidate.skills.filter(Boolean).join(', ') : (candidate.skills || '');
-    const descriptionRaw = candidate.description ? String(candidate.description) : '';
-    // Check if description contains HTML tags or is plain text
-    const isHtml = descriptionRaw && /<[^>]+>/.test(descriptionRaw);
-    let descriptionHtml = '';
-    let descriptionText = '';
-    if (descriptionRaw) {
-        if (isHtml) {
-            // If it's HTML, sanitize and convert to text
-            descriptionHtml = sanitizeHtmlFragment(descriptionRaw);
-            descriptionText = htmlToReadableText(descriptionRaw);
-        } else {
-            // If it's plain text, wrap in paragraph tags
-            descriptionHtml = `<p>${descriptionRaw}</p>`;
-            descriptionText = descriptionRaw;
-        }
+/**
+ * Scrape a company overview page already opened by the crawler
+ */
+async function scrapeCompanyProfile(page, request) {
+    await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => { });
+    const title = await page.title();
+    if (isChallengePage(title)) {
+        // Thrown so the crawler retries the request
+        throw new Error(`Blocked company page: ${title}`);
     }
-    return {
-        title,
-        company,
-        location,
-        postedDate,
-        jobType,
-        experience,
-        salary,
-        tags: skills,
-        jobId,
-        descriptionHtml,
-        descriptionText,
-    };
+    const $ = cheerio.load(await page.content());
+    return parseCompanyProfile($, request.url, request.userData.companyId);
+}
+/**
+ * Parse the job detail page already loaded in `page`.
+ * Parsing is done by parseJobDetailPage.
+ */
+async function readJobDetailFromPage(page, jobUrl, { selectors, onSelectorMatch } = {}) {
+    // Check for blocks
+    const title = await page.title();
+    if (isChallengePage(title)) {
+        log.warning(`⚠ Blocked page: ${title}`);
+        return { blocked: true };
+    }
+    // Window state first (fastest) - Naukri stores the job in __NEXT_DATA__
+    const stateJob = await page.evaluate(() => {
+        try {
+            const pageProps = window.__NEXT_DATA__?.props?.pageProps;
+            const job = pageProps?.job || pageProps?.jobDetails || window.jobData;
+            return job ? JSON.parse(JSON.stringify(job)) : null;
+        } catch {
+            return null;
+        }
+    }).catch(() => null);
+    const html = await page.content();
+    return parseJobDetailPage(html, { stateJob, jobUrl, selectors, onSelectorMatch });
 }
 /**
  * PLAYWRIGHT-ONLY description fetching
  * Opens detail page with full Playwright navigation to maintain Camoufox stealth
- * NO HTTP methods used - avoids all blocking
+ * NO HTTP methods used - avoids all blocking.
  */
-async function fetchFullDescription(jobUrl, page) {
+async function fetchFullDescription(jobUrl, page, parseOptions = {}) {
     const context = page.context();
     let pageDetail = null;
     try {
@@ -433,144 +195,155 @@ async function fetchFullDescription(jobUrl, page) {
         log.debug(`Opening: ${jobUrl}`);
         await pageDetail.goto(jobUrl, { waitUntil: 'domcontentloaded', timeout: 25000 });
         await pageDetail.waitForTimeout(1500);
-        // Check for blocks
-        const title = await pageDetail.title();
-        if (/Just a moment|Access Denied|Cloudflare|Security check/i.test(title)) {
-            log.warning(`⚠ Blocked page: ${title}`);
-            await pageDetail.close();
-            return { blocked: true };
-        }
-        // Try window state extraction first (fastest)
-        const windowData = await pageDetail.evaluate(() => {
-            try {
-                // Naukri stores data in __NEXT_DATA__
-                const nextData = window.__NEXT_DATA__;
-                if (nextData?.props?.pageProps?.job?.description) {
-                    return nextData.props.pageProps.job.description;
-                }
-                if (nextData?.props?.pageProps?.jobDetails?.description) {
-                    return nextData.props.pageProps.jobDetails.description;
-                }
-                // Also check raw jobData
-                if (window.jobData?.description) {
-                    return window.jobData.description;
-                }
-            } catch (e) { }
+        return await readJobDetailFromPage(pageDetail, jobUrl, parseOptions);
+    } catch (error) {
+        log.error(`Error fetching ${jobUrl}: ${error.message}`);
+        return null;
+    } finally {
+        if (pageDetail) await pageDetail.close().catch(() => { });
+    }
+}
+// Status codes Naukri answers blocked HTTP clients with
+const BLOCKED_STATUS_CODES = [401, 403, 429];
+/**
+ * HTTP-mode description fetching through the crawler's `sendRequest` (got-scraping,
+ * same proxy and session as the results page). `{ blocked: true }` hands the job to the browser.
+ */
+async function fetchJobDetailOverHttp(jobUrl, sendRequest, { selectors, onSelectorMatch } = {}) {
+    try {
+        const response = await sendRequest({ url: jobUrl, throwHttpErrors: false });
+        if (BLOCKED_STATUS_CODES.includes(response.statusCode)) return { blocked: true };
+        if (response.statusCode >= 400) {
+            log.warning(`Detail page returned ${response.statusCode}: ${jobUrl}`);
             return null;
-        }).catch(() => null);
-        if (windowData) {
-            const desc = String(windowData);
-            const isHtml = /<[^>]+>/.test(desc);
-            log.info(`✓ Window state (${desc.length} chars)`);
-            await pageDetail.close();
-            return {
-                descriptionHtml: isHtml ? desc : `<p>${desc}</p>`,
-                descriptionText: isHtml ? stripHtml(desc) : desc
-            };
-        }
-        // Parse page HTML with cheerio
-        const html = await pageDetail.content();
-        const $ = cheerio.load(html);
-        // Remove noise
-        $('script, style, noscript, .apply-button, .actions').remove();
-        // Try multiple selectors
-        const selectors = [
-            'div[class*="JDC__dang-inner-html"]',
-            'div[class*="dang-inner-html"]',
-            '[itemprop="description"]',
-            'section[class*="jobDesc"]',
-            '.jd-desc',
-            '.job-description',
-            '#jobDescriptionText',
-        ];
-        // Try clean extraction
-        let description = extractCleanSectionFromCheerio($, selectors, 30);
-        // Try JSON-LD
-        if (!description) {
-            const jsonLdScripts = $('script[type="application/ld+json"]').map((_, el) => $(el).text()).get();
-            for (const script of jsonLdScripts) {
-                try {
-                    const data = JSON.parse(script);
-                    const items = Array.isArray(data) ? data : [data];
-                    for (const item of items) {
-                        if (item?.['@type'] === 'JobPosting' && item.description) {
-                            const desc = String(item.description);
-                            const isHtml = /<[^>]+>/.test(desc);
-                            log.info(`✓ JSON-LD (${desc.length} chars)`);
-                            await pageDetail.close();
-                            return {
-                                descriptionHtml: isHtml ? sanitizeHtmlFragment(desc) : `<p>${desc}</p>`,
-                                descriptionText: isHtml ? htmlToReadableText(desc) : desc
-                            };
-                        }
-                    }
-                } catch (e) { }
-            }
-        }
-        // Try raw extraction
-        if (!description) {
-            description = extractRawDescription($, selectors);
-        }
-        await pageDetail.close();
-        if (description) {
-            log.info(`✓ DOM extraction (${description.descriptionText.length} chars)`);
-            return description;
         }
-        log.warning(`❌ No description found: ${jobUrl}`);
-        return null;
+        const html = String(response.body);
+        if (isChallengePage(cheerio.load(html)('title').text())) return { blocked: true };
+        return parseJobDetailPage(html, { stateJob: extractStateJobFromHtml(html), jobUrl, selectors, onSelectorMatch });
     } catch (error) {
         log.error(`Error fetching ${jobUrl}: ${error.message}`);
-        if (pageDetail) await pageDetail.close().catch(() => { });
         return null;
     }
 }
+const sleep = (ms) => new Promise((resolve) => {
+    setTimeout(resolve, ms);
+});
+/**
+ * Resolve with `{ timedOut: true }` if the promise does not settle within `ms`
+ */
+async function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ timedOut: true }), ms);
+    });
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+/**
+ * Per-domain throttle shared by all detail page workers:
+ * requests to the same host start at least `delayMs` apart
+ */
+function createDomainThrottle(delayMs) {
+    const nextSlotByHost = new Map();
+    return async (url) => {
+        if (!delayMs) return;
+        let host = '';
+        try {
+            host = new URL(url).host;
+        } catch {
+            return;
+        }
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+        nextSlotByHost.set(host, slot + delayMs);
+        if (slot > now) await sleep(slot - now);
+    };
+}
+/**
+ * Merge detail page data into the listing record, keeping listing values
+ * where the detail page has nothing better
+ */
+function mergeDetailIntoJob(job, detail) {
+    const merged = { ...job };
+    for (const [key, value] of Object.entries(detail || {})) {
+        if (key === 'blocked' || key === 'timedOut') continue;
+        if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+        merged[key] = value;
+    }
+    if ((!job.jobType || job.jobType === 'Not specified') && merged.employmentType) {
+        merged.jobType = merged.employmentType;
+    }
+    return merged;
+}
 /**
- * Enrich jobs with full descriptions from detail pages
- * Playwright-only version - no HTTP methods
+ * Enrich jobs with full descriptions from detail pages.
+ * `fetchDetail(url)` loads and parses one detail page (browser or HTTP).
+ * Detail pages are fetched by a bounded pool of workers; jobs not finished within
+ * the time budget keep their listing data so one slow page cannot fail the whole batch.
+ * `deadline` (epoch ms) cuts the budget short, so enrichment ends before the request handler times out.
+ * Blocked jobs keep their listing data too and are reported through `onBlocked(job)`.
  */
-async function enrichJobsWithFullDescriptions(jobs, page, fullPageDetails = true) {
+async function enrichJobsWithFullDescriptions(jobs, fetchDetail, fullPageDetails = true, options = {}) {
     if (jobs.length === 0) return jobs;
     if (!fullPageDetails) {
         log.info('fullPageDetails disabled - skipping description enrichment');
         return jobs;
     }
-    log.info(`Fetching descriptions for ${jobs.length} jobs...`);
-    const enrichedJobs = [];
+    const {
+        concurrency = 3,
+        throttle = createDomainThrottle(500),
+        timeBudgetMs = 240000,
+        deadline: handlerDeadline = Infinity,
+        onBlocked = () => {},
+    } = options;
+    const deadline = Math.min(Date.now() + timeBudgetMs, handlerDeadline);
+    log.info(`Fetching descriptions for ${jobs.length} jobs (concurrency: ${concurrency})...`);
+    const enrichedJobs = [...jobs];
     let blockedCount = 0;
-    // Sequential processing to avoid overwhelming
-    for (let i = 0; i < jobs.length; i++) {
-        const job = jobs[i];
-        if (!job.url) {
-            enrichedJobs.push(job);
-            continue;
-        }
-        log.debug(`Job ${i + 1}/${jobs.length}: ${job.url}`);
-        const fullDesc = await fetchFullDescription(job.url, page);
-        if (fullDesc?.blocked) {
-            blockedCount++;
-            log.warning(`⚠️ Blocked: ${job.url}`);
-            enrichedJobs.push(job);
-            continue;
-        }
-        if (fullDesc?.descriptionText) {
-            log.info(`✓ Job ${i + 1} enriched (${fullDesc.descriptionText.length} chars)`);
-            enrichedJobs.push({
-                ...job,
-                descriptionHtml: fullDesc.descriptionHtml,
-                descriptionText: fullDesc.descriptionText,
-            });
-        } else {
-            log.warning(`✗ No description for job ${i + 1}`);
-            enrichedJobs.push(job);
-        }
-        // Small delay between requests
-        if (i < jobs.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
+    let skippedCount = 0;
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < jobs.length) {
+            const i = nextIndex++;
+            const job = jobs[i];
+            if (!job.url) continue;
+            if (Date.now() >= deadline) {
+                skippedCount++;
+                continue;
+            }
+            await throttle(job.url);
+            log.debug(`Job ${i + 1}/${jobs.length}: ${job.url}`);
+            const fullDesc = await withTimeout(fetchDetail(job.url), Math.max(0, deadline - Date.now()));
+            if (fullDesc?.timedOut) {
+                skippedCount++;
+                log.warning(`⚠️ Detail page timed out: ${job.url}`);
+                continue;
+            }
+            if (fullDesc?.blocked) {
+                blockedCount++;
+                log.warning(`⚠️ Blocked: ${job.url}`);
+                onBlocked(job);
+                continue;
+            }
+            if (fullDesc?.descriptionText) {
+                log.info(`✓ Job ${i + 1} enriched (${fullDesc.descriptionText.length} chars)`);
+            } else {
+                log.warning(`✗ No description for job ${i + 1}`);
+            }
+            // Partial results (details without a description) are merged too
+            if (fullDesc) enrichedJobs[i] = mergeDetailIntoJob(job, fullDesc);
         }
-    }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, jobs.length)) }, worker));
     if (blockedCount > 0) {
         log.warning(`${blockedCount} pages blocked`);
     }
+    if (skippedCount > 0) {
+        log.warning(`${skippedCount} detail pages skipped after the time budget ran out; listing data kept`);
+    }
     return enrichedJobs;
 }
 /**
@@ -592,7 +365,7 @@ async function navigateWithRetry(page, url) {
         }
     }
 }
-async function waitForSearchResultsToRender(page) {
+async function waitForSearchResultsToRender(page, selectors) {
     // On some Naukri listing pages (especially keyword-only), SSR contains skeletons.
     // Wait for client-side rendered links/text to appear before parsing HTML.
     try {
@@ -600,12 +373,6 @@ async function waitForSearchResultsToRender(page) {
     } catch {
         // ignore
     }
-    const selectors = [
-        'a[href*="job-listings"]',
-        'a[href^="/job-listings"]',
-        'div[class*="tuple"] a[href]',
-        'article[class*="tuple"] a[href]',
-    ];
     for (const selector of selectors) {
         try {
             await page.waitForSelector(selector, { timeout: 8000 });
@@ -627,126 +394,13 @@ async function waitForSearchResultsToRender(page) {
         // ignore
     }
 }
-/**
- * Build Naukri search URL from input parameters
- */
-function buildSearchUrl(input) {
-    // If searchUrl is provided, use it directly
-    if (input.searchUrl && input.searchUrl.trim()) {
-        log.info('Using provided search URL directly');
-        return input.searchUrl.trim();
-    }
-    // Naukri URL formats:
-    // - Keyword only: https://www.naukri.com/{query}-jobs
-    // - Keyword + location: https://www.naukri.com/{query}-jobs-in-{location}
-    const query = (input.searchQuery || 'sales').toLowerCase().trim().replace(/\s+/g, '-');
-    const locationRaw = (input.location || '').toLowerCase().trim();
-    const location = locationRaw ? locationRaw.replace(/\s+/g, '-') : '';
-    let baseUrl = location
-        ? `https://www.naukri.com/${query}-jobs-in-${location}`
-        : `https://www.naukri.com/${query}-jobs`;
-    const params = new URLSearchParams();
-    // Add experience filter
-    if (input.experience && input.experience !== 'all') {
-        params.append('experience', input.experience);
-    }
-    // Add job type filter
-    if (input.jobType && input.jobType !== 'all') {
-        params.append('jobType', input.jobType);
-    }
-    const queryString = params.toString();
-    if (queryString) {
-        baseUrl += `?${queryString}`;
-    }
-    return baseUrl;
-}
 /**
  * Extract job data from the page using Cheerio HTML parsing
  */
-async function extractJobDataViaHTML(page) {
+async function extractJobDataViaHTML(page, { selectors, onSelectorMatch }) {
     log.info('Extracting job data via HTML parsing with Cheerio');
     try {
-        const html = await page.content();
-        const $ = cheerio.load(html);
-        const jobs = [];
-        const seenUrls = new Set();
-        // Naukri-specific selectors for job cards
-        // Primary selector: "tuple"/"jobTuple" blocks
-        const jobElements = $([
-            'article.jobTuple',
-            'div.srp-tuple',
-            'div.jobCard',
-            'article[data-job-id]',
-            'div[class*="tuple"]',
-            'article[class*="tuple"]',
-        ].join(','));
-        log.info(`Found ${jobElements.length} job cards`);
-        if (jobElements.length === 0) {
-            // Fallback selectors
-            const fallbackSelectors = [
-                'article[class*="job"]',
-                'div[class*="jobTuple"]',
-                'div[class*="srp"]',
-                'article.row'
-            ];
-            for (const selector of fallbackSelectors) {
-                const elements = $(selector);
-                if (elements.length > 0) {
-                    log.info(`Fallback: Found ${elements.length} elements with selector: ${selector}`);
-                    elements.each((_, element) => {
-                        // If this is a container, try extracting tuples within it first
-                        const container = $(element);
-                        const tuples = container.find('article.jobTuple, div.srp-tuple, div.jobCard, article[data-job-id], div[class*="tuple"], article[class*="tuple"]');
-                        if (tuples.length) {
-                            tuples.each((_, tupleEl) => {
-                                const job = extractJobFromElement($, $(tupleEl));
-                                if (job && job.url && !seenUrls.has(job.url)) {
-                                    seenUrls.add(job.url);
-                                    jobs.push(job);
-                                }
-                            });
-                        } else {
-                            const job = extractJobFromElement($, container);
-                            if (job && job.url && !seenUrls.has(job.url)) {
-                                seenUrls.add(job.url);
-                                jobs.push(job);
-                            }
-                        }
-                    });
-                    if (jobs.length > 0) break;
-                }
-            }
-        } else {
-            jobElements.each((_, element) => {
-                const job = extractJobFromElement($, $(element));
-                if (job && job.url && !seenUrls.has(job.url)) {
-                    seenUrls.add(job.url);
-                    jobs.push(job);
-                }
-            });
-        }
-        // If tuple-based parsing failed, fall back to job listing links and climb up to their containers
-        if (jobs.length === 0) {
-            const jobLinkEls = $('a[href*="job-listings"], a[href^="/job-listings"]').toArray();
-            log.info(`Fallback: Found ${jobLinkEls.length} job listing links`);
-            for (const el of jobLinkEls) {
-                const $link = $(el);
-                const href = $link.attr('href') || '';
-                if (!href) continue;
-                const absoluteUrl = href.startsWith('http') ? href : `https://www.naukri.com${href}`;
-                if (seenUrls.has(absoluteUrl)) continue;
-                const titleFromLink = ($link.text() || $link.attr('title') || '').trim();
-                const container = $link.closest('article, div');
-                const job = extractJobFromElement($, container.length ? container : $link.parent(), {
-                    title: titleFromLink,
-                    url: absoluteUrl,
-                });
-                if (job && job.url && !seenUrls.has(job.url)) {
-                    seenUrls.add(job.url);
-                    jobs.push(job);
-                }
-            }
-        }
+        const jobs = extractJobsFromHtml(await page.content(), { selectors, onSelectorMatch });
         log.info(`Extracted ${jobs.length} jobs via HTML parsing`);
         return jobs;
     } catch (error) {
@@ -755,173 +409,128 @@ async function extractJobDataViaHTML(page) {
     }
 }
 /**
- * Extract job data from a single job element using Naukri-specific selectors
+ * Capture Naukri's job search API (XHR) responses while the results page loads.
+ * Start before navigation; `stop()` stops listening and resolves with the captured bodies.
+ */
+function captureSearchApiResponses(page) {
+    const pending = [];
+    const onResponse = (response) => {
+        if (!isSearchApiUrl(response.url()) || !response.ok()) return;
+        pending.push(response.json().catch((error) => {
+            log.debug(`Could not read search API response: ${error.message}`);
+            return null;
+        }));
+    };
+    page.on('response', onResponse);
+    return {
+        async stop() {
+            page.off('response', onResponse);
+            return Promise.all(pending);
+        },
+    };
+}
+/**
+ * Extract jobs from captured search API responses (richest data, preferred over HTML)
+ */
+async function extractJobsViaSearchApi(capture) {
+    try {
+        const bodies = await capture.stop();
+        const jobs = extractJobsFromSearchApi(bodies);
+        log.info(`Extracted ${jobs.length} jobs from ${bodies.length} search API responses`);
+        return jobs;
+    } catch (error) {
+        log.warning(`Search API extraction failed: ${error.message}`);
+        return [];
+    }
+}
+const SELECTOR_CONFIG_KEY = 'SELECTOR_CONFIG';
+/**
+ * Selector config: built-in defaults, then the SELECTOR_CONFIG record of a named
+ * key-value store, then `input.selectorConfig`. Invalid overrides fail the run at startup.
  */
-function extractJobFromElement($, $el, fallback = {}) {
+async function loadSelectorConfig(input) {
+    const overrides = [];
+    if (input.selectorConfigStoreName) {
+        const store = await Actor.openKeyValueStore(input.selectorConfigStoreName);
+        const config = await store.getValue(SELECTOR_CONFIG_KEY);
+        if (!config) log.warning(`No ${SELECTOR_CONFIG_KEY} record in store "${input.selectorConfigStoreName}"; using defaults`);
+        overrides.push({ source: `${input.selectorConfigStoreName}/${SELECTOR_CONFIG_KEY}`, config });
+    }
+    if (input.selectorConfig) overrides.push({ source: 'input.selectorConfig', config: input.selectorConfig });
+    return resolveSelectorConfig(overrides);
+}
+const WEBHOOK_DEAD_LETTERS_KEY = 'WEBHOOK_DEAD_LETTERS';
+/**
+ * Optional HTTP sink that receives every batch of saved jobs. Batches that cannot be
+ * delivered are appended to the WEBHOOK_DEAD_LETTERS record of the run's key-value store.
+ * `pending` holds the batches queued but not yet delivered, kept in the crawl state.
+ */
+async function createJobsWebhook(input, pending) {
+    if (!input.webhookUrl) return null;
+    let url;
     try {
-        // Job Title - multiple possible selectors
-        let title = '';
-        const titleSelectors = [
-            'a[href*="job-listings"]',
-            'a[href^="/job-listings"]',
-            'a.title, .title a',
-            'a.subtitle, .subtitle a',
-            'a[class*="title"]',
-            'h2 a, h3 a',
-            '.row1 a'
-        ];
-        for (const sel of titleSelectors) {
-            const titleEl = $el.find(sel).first();
-            if (titleEl.length && titleEl.text().trim()) {
-                title = titleEl.text().trim();
-                break;
-            }
-        }
-        // Job URL
-        let url = '';
-        const urlSelectors = [
-            'a[href*="job-listings"]',
-            'a[href^="/job-listings"]',
-            'a.title',
-            'a.subtitle',
-            'a[class*="title"]',
-            'h2 a, h3 a',
-            '.row1 a'
-        ];
-        for (const sel of urlSelectors) {
-            const urlEl = $el.find(sel).first();
-            if (urlEl.length && urlEl.attr('href')) {
-                url = urlEl.attr('href');
-                if (url && !url.startsWith('http')) {
-                    url = `https://www.naukri.com${url}`;
-                }
-                break;
-            }
-        }
-        // More resilient URL extraction: find job listing link within the tuple
-        if (!url) {
-            const anchors = $el.find('a[href]').toArray();
-            for (const a of anchors) {
-                const href = ($(a).attr('href') || '').trim();
-                if (!href) continue;
-                if (!href.includes('job-listings') && !href.startsWith('/job-listings')) continue;
-                url = href.startsWith('http') ? href : `https://www.naukri.com${href}`;
-                if (!title) {
-                    title = ($(a).text() || $(a).attr('title') || '').trim();
-                }
-                break;
-            }
-        }
-        if (!url) {
-            const dataHref = ($el.attr('data-href') || $el.attr('data-url') || $el.attr('data-jdurl') || '').trim();
-            if (dataHref) url = dataHref.startsWith('http') ? dataHref : `https://www.naukri.com${dataHref}`;
-        }
-        // Fallback to link-provided title/url when selectors fail
-        if (!title && fallback.title) title = fallback.title;
-        if (!url && fallback.url) url = fallback.url;
-        // Company name
-        let company = '';
-        const companySelectors = [
-            '.comp-name, .companyInfo',
-            'a.comp-name',
-            '.company-name',
-            'a[class*="company"]',
-            '.row2 a',
-            'span[class*="comp"]',
-            'a[href*="company"]',
-        ];
-        for (const sel of companySelectors) {
-            const compEl = $el.find(sel).first();
-            if (compEl.length && compEl.text().trim()) {
-                company = compEl.text().trim();
-                break;
-            }
-        }
-        // Location
-        let location = '';
-        const locationSelectors = [
-            '.loc-wrap .location, .location',
-            '.locWdth',
-            'span[class*="location"]',
-            '.row3 .location',
-            '[class*="loc"]',
-        ];
-        for (const sel of locationSelectors) {
-            const locEl = $el.find(sel).first();
-            if (locEl.length && locEl.text().trim()) {
-                location = locEl.text().trim();
-                break;
-            }
-        }
-        // Experience
-        let experience = 'Not specified';
-        const expSelectors = [
-            '.exp-wrap .exp, .experience',
-            'span[class*="exp"]',
-            '.row4 .exp'
-        ];
-        for (const sel of expSelectors) {
-            const expEl = $el.find(sel).first();
-            if (expEl.length && expEl.text().trim()) {
-                experience = expEl.text().trim();
-                break;
-            }
-        }
-        // Salary
-        let salary = 'Not specified';
-        const salarySelectors = [
-            '.sal-wrap .salary, .salary',
-            'span[class*="sal"]',
-            '.row5 .salary'
-        ];
-        for (const sel of salarySelectors) {
-            const salEl = $el.find(sel).first();
-            if (salEl.length && salEl.text().trim()) {
-                salary = salEl.text().trim();
-                break;
-            }
-        }
-        // Job snippet/description
-        const descEl = $el.find('.job-desc, .desc, .job-description, .snippet').clone();
-        descEl.find('.similar-jobs, .related-jobs').remove();
-        const snippet = descEl.text().trim() || '';
-        const snippetHtml = descEl.html()?.trim() || '';
-        // Posted date
-        let postedDate = '';
-        const dateSelectors = [
-            '.job-post-day, .date',
-            'span[class*="date"]',
-            'span[class*="posted"]',
-            '.postedDate'
-        ];
-        for (const sel of dateSelectors) {
-            const dateEl = $el.find(sel).first();
-            if (dateEl.length && dateEl.text().trim()) {
-                postedDate = dateEl.text().trim();
-                break;
-            }
-        }
-        // Only add if we have at least title or URL
-        if (title || url) {
-            return {
-                title: title || 'Unknown Title',
-                company,
-                location,
-                salary,
-                experience,
-                jobType: 'Not specified',
-                postedDate,
-                descriptionHtml: snippetHtml,
-                descriptionText: snippet,
-                url,
-                scrapedAt: new Date().toISOString()
-            };
-        }
-        return null;
-    } catch (err) {
-        log.debug(`Error extracting individual job: ${err.message}`);
-        return null;
+        url = new URL(input.webhookUrl);
+    } catch {
+        throw new Error(`webhookUrl is not a valid URL: ${input.webhookUrl}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('webhookUrl must be an http(s) URL');
+    const maxRetries = input.webhookMaxRetries ?? 3;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 10) {
+        throw new Error('webhookMaxRetries must be between 0 and 10');
     }
+    // Kept across restarts of the same run
+    const deadLetters = (await Actor.getValue(WEBHOOK_DEAD_LETTERS_KEY)) || [];
+    log.info(`Delivering saved jobs to webhook ${url.origin}`);
+    return createWebhookSink({
+        url: url.toString(),
+        headers: input.webhookHeaders || {},
+        secret: input.webhookSecret || '',
+        maxRetries,
+        runId: Actor.getEnv().actorRunId,
+        pending,
+        onDeadLetter: async (entry) => {
+            deadLetters.push(entry);
+            await Actor.setValue(WEBHOOK_DEAD_LETTERS_KEY, deadLetters);
+        },
+    });
+}
+const SEEN_JOBS_KEY = 'SEEN_JOBS';
+/**
+ * Open the persistent seen-jobs index used by incremental ("new jobs only") mode.
+ * The index maps each job key to its first-seen and last-seen timestamps.
+ */
+async function openSeenJobsStore(storeName) {
+    const store = await Actor.openKeyValueStore(storeName);
+    const seen = (await store.getValue(SEEN_JOBS_KEY)) || {};
+    log.info(`Loaded ${Object.keys(seen).length} previously seen jobs from key-value store "${storeName}"`);
+    return {
+        seen,
+        save: async () => store.setValue(SEEN_JOBS_KEY, seen),
+    };
+}
+/**
+ * Pre-navigation hook: restore the localStorage saved with the session before the page loads.
+ * Cookies are restored by the crawler itself (`persistCookiesPerSession`).
+ */
+async function restoreSessionStorage({ page, session }) {
+    const saved = session?.userData.localStorage;
+    if (!saved) return;
+    await page.addInitScript((entries) => {
+        if (!window.location.hostname.endsWith('naukri.com')) return;
+        for (const [key, value] of Object.entries(entries)) {
+            if (window.localStorage.getItem(key) === null) window.localStorage.setItem(key, value);
+        }
+    }, saved);
+}
+/**
+ * Keep the cookies and localStorage of a page that just passed a challenge on its session,
+ * so later pages and runs start with the clearance
+ */
+async function saveSessionState(page, session) {
+    if (!session) return;
+    session.setCookies(await page.context().cookies(), page.url());
+    const localStorage = await page.evaluate(() => ({ ...window.localStorage })).catch(() => null);
+    if (localStorage) Object.assign(session.userData, { localStorage });
 }
 /**
  * Debug: Save page HTML snippet for analysis when 0 jobs found
@@ -950,6 +559,37 @@ async function saveDebugInfo(page) {
         log.warning(`Failed to save debug info: ${error.message}`);
     }
 }
+// Naukri serves Indian exit IPs with far fewer challenges
+const PREFERRED_PROXY_COUNTRY = 'IN';
+// Camoufox fingerprint settings; the proxy and its geolocation are added per browser launch
+const CAMOUFOX_OPTIONS = { headless: true, os: 'windows', locale: 'en-IN' };
+/**
+ * Proxy configurations to rotate between, most preferred first. Apify Proxy without
+ * a fixed country gets an IN-only variant in front of the unrestricted one.
+ */
+async function createProxyCandidates(proxyInput) {
+    const candidates = [];
+    if (proxyInput.useApifyProxy && !proxyInput.apifyProxyCountry) {
+        candidates.push({
+            country: PREFERRED_PROXY_COUNTRY,
+            config: await Actor.createProxyConfiguration({ ...proxyInput, apifyProxyCountry: PREFERRED_PROXY_COUNTRY }),
+        });
+    }
+    let country = 'CUSTOM';
+    if (proxyInput.useApifyProxy) country = proxyInput.apifyProxyCountry || 'ANY';
+    candidates.push({ country, config: await Actor.createProxyConfiguration(proxyInput) });
+    return candidates.filter((candidate) => candidate.config);
+}
+// Time budget for detail page enrichment of one search page
+const DETAIL_TIME_BUDGET_SECS = 240;
+const BROWSER_HANDLER_TIMEOUT_SECS = DETAIL_TIME_BUDGET_SECS + 120;
+const HTTP_HANDLER_TIMEOUT_SECS = DETAIL_TIME_BUDGET_SECS + 60;
+// Left of the handler timeout once enrichment stops, for saving the jobs and queueing the next page
+const HANDLER_SAVE_MARGIN_SECS = 30;
+/**
+ * Time by which detail enrichment must stop for a request handler started now
+ */
+const getEnrichmentDeadline = (handlerTimeoutSecs) => Date.now() + (handlerTimeoutSecs - HANDLER_SAVE_MARGIN_SECS) * 1000;
 /**
  * Main Actor execution
  */
@@ -961,61 +601,461 @@ try {
         searchUrl: input.searchUrl,
         searchQuery: input.searchQuery,
         location: input.location,
+        searches: input.searches?.length || 0,
+        searchQueries: input.searchQueries?.length || 0,
+        locations: input.locations?.length || 0,
         maxJobs: input.maxJobs,
         fullPageDetails
     });
-    // Validate input - either searchUrl OR searchQuery must be provided
-    if (!input.searchUrl?.trim()) {
-        if (!input.searchQuery?.trim()) {
-            throw new Error('Invalid input: Either provide a "searchUrl" OR provide a "searchQuery"');
-        }
-    }
     // Validate maxJobs range
     const maxJobs = input.maxJobs ?? 20; // Default to 20 for QA compliance
     if (maxJobs < 0 || maxJobs > 10000) {
         throw new Error('maxJobs must be between 0 and 10000');
     }
-    // Build search URL
-    const searchUrl = buildSearchUrl(input);
-    log.info(`Search URL: ${searchUrl}`);
-    // Create proxy configuration
-    const proxyConfiguration = await Actor.createProxyConfiguration(
-        input.proxyConfiguration || { useApifyProxy: true }
-    );
-    // Statistics tracking
-    let totalJobsScraped = 0;
-    let pagesProcessed = 0;
-    let extractionMethod = 'None';
-    const startTime = Date.now();
-    // Deduplication - track seen job URLs
-    const seenJobUrls = new Set();
-    // Get proxy URL for Camoufox
-    const proxyUrl = await proxyConfiguration.newUrl();
-    // Create Playwright crawler with Camoufox for anti-bot bypass
-    const maxRequestsPerCrawl = Math.min(
+    // Build the list of searches - each one has its own budget and pagination
+    const searches = buildSearches(input, maxJobs);
+    if (searches.length === 0) {
+        throw new Error('Invalid input: Either provide a "searchUrl" OR provide a "searchQuery" (or "searches" / "searchQueries")');
+    }
+    // Crawl state - persisted on `persistState`/`migrating` and after every saved page,
+    // so a migrated or restarted run continues where it left off
+    const freshCrawlState = createCrawlState(searches);
+    const crawlState = await Actor.useState(CRAWL_STATE_KEY, freshCrawlState);
+    if (crawlState !== freshCrawlState) {
+        Object.assign(crawlState, resumeCrawlState(crawlState, searches));
+        log.info(`Resuming run (restart ${crawlState.restarts}): ${crawlState.totalJobsScraped} jobs saved, `
+            + `${Object.keys(crawlState.completedRequests).length} requests completed`);
+    }
+    const {
+        searchStates,
+        seenJobKeys,
+        pagesInProgress,
+        completedRequests,
+        queuedCompanyIds,
+        filterStats,
+        incrementalStats,
+        companyStats,
+        browserFallbackRequests,
+        browserFallbackStats,
+        skillStats,
+        webhookBatches,
+    } = crawlState;
+    const persistCrawlState = async () => Actor.setValue(CRAWL_STATE_KEY, crawlState);
+    // Detail page pool - shared per-domain throttle across all search pages
+    const detailConcurrency = input.detailConcurrency ?? 3;
+    if (!Number.isInteger(detailConcurrency) || detailConcurrency < 1 || detailConcurrency > 10) {
+        throw new Error('detailConcurrency must be between 1 and 10');
+    }
+    const detailThrottle = createDomainThrottle(input.detailDelayMs ?? 500);
+    // Selector telemetry - warn or fail when field fill rates drop (layout change)
+    const minFillRate = input.minFillRate ?? 50;
+    if (!Number.isFinite(minFillRate) || minFillRate < 0 || minFillRate > 100) {
+        throw new Error('minFillRate must be between 0 and 100');
+    }
+    const lowFillRateAction = input.lowFillRateAction || 'warn';
+    const selectorHealth = createSelectorHealth();
+    const recordSelectorMatch = (field, selector) => selectorHealth.recordMatch(field, selector);
+    const { config: selectorConfig, ...selectorConfigInfo } = await loadSelectorConfig(input);
+    if (selectorConfigInfo.overriddenFields.length > 0) {
+        log.info(`Selector config overrides from ${selectorConfigInfo.sources.slice(1).join(', ')}`, selectorConfigInfo);
+    }
+    // Client-side filters (salary, experience, company, keywords, posting age)
+    const jobFilters = buildJobFilters(input);
+    if (jobFilters) log.info('Client-side filters enabled', jobFilters);
+    const filterJobs = (jobs, options) => {
+        const { kept, rejectedByReason } = applyJobFilters(jobs, jobFilters, options);
+        for (const [reason, count] of Object.entries(rejectedByReason)) {
+            filterStats.total += count;
+            filterStats.byReason[reason] = (filterStats.byReason[reason] || 0) + count;
+        }
+        if (kept.length < jobs.length) log.info(`Filtered out ${jobs.length - kept.length} jobs`, rejectedByReason);
+        return kept;
+    };
+    // Incremental mode - skip jobs saved by previous runs
+    const onlyNewJobs = input.onlyNewJobs ?? false;
+    const stopOnKnownPage = input.stopOnKnownPage ?? false;
+    const seenJobsStore = onlyNewJobs
+        ? await openSeenJobsStore(input.seenJobsStoreName || 'naukri-seen-jobs')
+        : null;
+    const splitKnownJobs = (jobs) => {
+        const now = new Date().toISOString();
+        const fresh = [];
+        for (const job of jobs) {
+            const entry = seenJobsStore.seen[getJobDedupKey(job)];
+            if (entry) {
+                entry.lastSeenAt = now;
+                incrementalStats.alreadySeen++;
+            } else {
+                fresh.push(job);
+            }
+        }
+        return fresh;
+    };
+    const markJobsSeen = (jobs) => {
+        const now = new Date().toISOString();
+        for (const job of jobs) {
+            const key = getJobDedupKey(job);
+            if (!key) continue;
+            seenJobsStore.seen[key] = { firstSeenAt: now, lastSeenAt: now };
+        }
+        incrementalStats.newJobs += jobs.length;
+    };
+    if (seenJobsStore) {
+        Actor.on('persistState', async () => {
+            await seenJobsStore.save();
+        });
+    }
+    // The crawler that is running, paused on migration so no new pages start
+    let activeCrawler = null;
+    Actor.on('migrating', async () => {
+        log.info('Actor is migrating; saving crawl state');
+        activeCrawler?.autoscaledPool?.pause().catch(() => { });
+        await persistCrawlState();
+        if (seenJobsStore) await seenJobsStore.save();
+    });
+    Actor.on('aborting', async () => {
+        await persistCrawlState();
+    });
+    // Company profiles - each company is scraped once per run into a separate dataset
+    const scrapeCompanies = input.scrapeCompanies ?? false;
+    const maxCompanies = input.maxCompanies ?? 100;
+    const companiesDataset = scrapeCompanies
+        ? await Actor.openDataset(input.companiesDatasetName || 'naukri-companies')
+        : null;
+    // Output integration - every batch passed to Actor.pushData is also POSTed here
+    const jobsWebhook = await createJobsWebhook(input, webhookBatches);
+    // Create proxy configuration - each session gets its own proxy, from the healthiest country
+    const proxyCandidates = await createProxyCandidates(input.proxyConfiguration || { useApifyProxy: true });
+    const proxyHealth = createProxyHealth({ preferredCountry: PREFERRED_PROXY_COUNTRY });
+    const proxyBySession = new Map();
+    const proxyConfiguration = proxyCandidates.length === 0 ? undefined : new ProxyConfiguration({
+        newUrlFunction: async (sessionId) => {
+            if (sessionId && proxyBySession.has(sessionId)) return proxyBySession.get(sessionId).url;
+            const country = proxyHealth.pickCountry(proxyCandidates.map((candidate) => candidate.country));
+            const { config } = proxyCandidates.find((candidate) => candidate.country === country);
+            const url = await config.newUrl(sessionId);
+            if (sessionId) proxyBySession.set(sessionId, { url, key: redactProxyUrl(url), country });
+            return url;
+        },
+    });
+    // Sessions - cookies and storage state are kept after challenge solves and reused across runs
+    const persistSessions = input.persistSessions ?? true;
+    const maxSessionBlocks = input.maxSessionBlocks ?? 3;
+    if (!Number.isInteger(maxSessionBlocks) || maxSessionBlocks < 1 || maxSessionBlocks > 20) {
+        throw new Error('maxSessionBlocks must be between 1 and 20');
+    }
+    const sessionStore = persistSessions
+        ? await Actor.openKeyValueStore(input.sessionStoreName || 'naukri-sessions')
+        : null;
+    const sessionStats = createSessionStats();
+    // Browser and HTTP sessions are kept apart - a clearance only works with the fingerprint that earned it
+    const sessionPoolOptions = (persistStateKey) => ({
+        maxPoolSize: 10,
+        ...(sessionStore ? { persistStateKeyValueStoreId: sessionStore.id, persistStateKey } : {}),
+        sessionOptions: { maxErrorScore: maxSessionBlocks, maxAgeSecs: SESSION_MAX_AGE_SECS },
+    });
+    // Retiring a session closes its browser, so the next page launches with a new proxy
+    const rotateProxyOnBlock = input.rotateProxyOnBlock ?? true;
+    const markSessionGood = (session) => {
+        if (!session) return;
+        session.markGood();
+        sessionStats.recordSuccess(session.id);
+        const proxy = proxyBySession.get(session.id);
+        if (proxy) proxyHealth.recordSuccess(proxy);
+    };
+    /**
+     * Count a blocked page against its session and proxy. With `rotateProxyOnBlock` the session
+     * is retired right away, otherwise the pool retires sessions that keep getting blocked.
+     * Pass `willThrow` when the handler throws afterwards - the crawler then marks the session bad itself.
+     */
+    const markSessionBlocked = (session, { willThrow = false } = {}) => {
+        if (!session) return;
+        const proxy = proxyBySession.get(session.id);
+        if (proxy) proxyHealth.recordBlock(proxy);
+        let retired;
+        if (rotateProxyOnBlock) {
+            session.retire();
+            retired = true;
+        } else {
+            if (!willThrow) session.markBad();
+            retired = willThrow ? session.errorScore + 1 >= session.maxErrorScore : session.isBlocked();
+        }
+        sessionStats.recordBlock(session.id, { retired });
+        if (retired) {
+            log.warning(`Retiring session ${session.id}${proxy ? ` and proxy ${proxy.key} (${proxy.country})` : ''}`);
+        }
+    };
+    const searchesById = new Map(searches.map((search) => [search.id, search]));
+    for (const search of searches) {
+        log.info(`Search ${search.id} (${search.label}): ${search.url} [maxJobs: ${search.maxJobs || 'unlimited'}]`);
+    }
+    // Crawler mode - "http" fetches pages without a browser and hands blocked requests to the browser
+    const crawlerMode = input.crawlerMode || 'browser';
+    if (!['browser', 'http'].includes(crawlerMode)) {
+        throw new Error('crawlerMode must be "browser" or "http"');
+    }
+    const queueBrowserFallback = (request, reason) => {
+        browserFallbackRequests.push({
+            url: request.url,
+            uniqueKey: `browser-${request.uniqueKey}`,
+            label: request.label,
+            userData: request.userData,
+        });
+        if (request.label === 'COMPANY') browserFallbackStats.companies++;
+        else if (request.label === 'DETAIL') browserFallbackStats.detailPages++;
+        else browserFallbackStats.searchPages++;
+        log.warning(`${reason}; queued for the browser: ${request.url}`);
+    };
+    const maxRequestsPerCrawl = searches.reduce((sum, search) => sum + Math.min(
         200,
-        maxJobs === 0 ? 200 : Math.ceil(maxJobs / 20) + 5
-    );
-    const crawler = new PlaywrightCrawler({
+        search.maxJobs === 0 || jobFilters ? 200 : Math.ceil(search.maxJobs / 20) + 5
+    ), 0) + (scrapeCompanies ? maxCompanies : 0);
+    const detailParseOptions = { selectors: selectorConfig.detailPage, onSelectorMatch: recordSelectorMatch };
+    const detailPoolOptions = {
+        concurrency: detailConcurrency,
+        throttle: detailThrottle,
+        timeBudgetMs: DETAIL_TIME_BUDGET_SECS * 1000,
+    };
+    // Requests finished before a restart can be served again if the queue did not record them as handled
+    const skipCompletedRequest = (request) => {
+        if (!completedRequests[request.uniqueKey]) return false;
+        log.info(`Already completed before the restart: ${request.url}`);
+        return true;
+    };
+    /**
+     * Tag jobs with their search, queue their company profiles and save them.
+     * The request is marked completed in the same step as the push, so a persisted
+     * state never holds one without the other.
+     */
+    const saveJobs = async (jobs, search, addRequests, requestKey) => {
+        const searchState = searchStates[search.id];
+        // Jobs finished by the browser fallback may arrive after the search budget is spent
+        let jobsToSave = search.maxJobs > 0
+            ? jobs.slice(0, Math.max(0, search.maxJobs - searchState.jobsScraped))
+            : jobs;
+        // Tag every item with the search it came from
+        jobsToSave = jobsToSave.map((job) => ({
+            ...job,
+            ...parsePostedDate(job.postedDate, job.scrapedAt),
+            ...parseJobLocation(job.location),
+            descriptionSections: segmentDescription(job.descriptionHtml || job.descriptionText),
+            // Card tags, search API tags and detail page Key Skills, canonicalized
+            skills: mergeSkills(job.skills, job.tags, job.keySkills),
+            // Detail pages may add a company link the card did not have
+            companyUrl: job.companyUrl ? canonicalizeJobUrl(job.companyUrl) : '',
+            companyId: job.companyId || extractCompanyIdFromUrl(job.companyUrl),
+            searchId: search.id,
+            searchLabel: search.label,
+            searchUrl: search.url,
+            searchFilters: search.filters,
+        }));
+        // Queue company profiles not seen yet in this run
+        if (companiesDataset) {
+            const companyRequests = [];
+            for (const job of jobsToSave) {
+                if (!job.companyId || !job.companyUrl || queuedCompanyIds[job.companyId]) continue;
+                if (companyStats.queued + companyRequests.length >= maxCompanies) break;
+                queuedCompanyIds[job.companyId] = true;
+                companyRequests.push({
+                    url: toCompanyOverviewUrl(job.companyUrl),
+                    uniqueKey: `company-${job.companyId}`,
+                    label: 'COMPANY',
+                    userData: { companyId: job.companyId },
+                });
+            }
+            if (companyRequests.length > 0) {
+                await addRequests(companyRequests);
+                companyStats.queued += companyRequests.length;
+                log.info(`Queued ${companyRequests.length} company profiles`);
+            }
+        }
+        // Save jobs to dataset
+        // Delivered in the background, outside the request handler's timeout. A restart before the
+        // state is persisted re-sends the batch under the same batch ID.
+        if (jobsWebhook) jobsWebhook.enqueue(jobsToSave, { searchId: search.id });
+        if (jobsToSave.length > 0) await Actor.pushData(jobsToSave);
+        selectorHealth.recordJobs(jobsToSave);
+        if (seenJobsStore) markJobsSeen(jobsToSave);
+        crawlState.totalJobsScraped += jobsToSave.length;
+        searchState.jobsScraped += jobsToSave.length;
+        for (const job of jobsToSave) {
+            if (job.skills.length > 0) skillStats.jobs++;
+            for (const skill of job.skills) skillStats.counts[skill] = (skillStats.counts[skill] || 0) + 1;
+        }
+        if (requestKey) {
+            completedRequests[requestKey] = true;
+            delete pagesInProgress[requestKey];
+        }
+        if (jobsToSave.length > 0) {
+            log.info(`Saved ${jobsToSave.length} jobs [${search.id}: ${searchState.jobsScraped}]. Total: ${crawlState.totalJobsScraped}`);
+        }
+        await persistCrawlState();
+    };
+    /**
+     * Pagination: deterministic `pageNo` param to avoid fragile DOM selectors.
+     * Prefer the real "Next" link; fallback to path-based `-2` URLs.
+     * Stops automatically if no new jobs are saved or if maxJobs is reached.
+     */
+    const queueNextPage = async ({ search, request, currentPageNo, newJobsOnPage, pageOnlyKnownJobs, findNextPage, addRequests }) => {
+        // Filtered runs save fewer jobs per page, so they may need to go deeper
+        const maxPages = search.maxJobs === 0 || jobFilters ? 50 : Math.ceil(search.maxJobs / 20);
+        const nextPageNo = currentPageNo + 1;
+        if (stopOnKnownPage && pageOnlyKnownJobs) {
+            log.info('Page only contains jobs seen in previous runs; stopping pagination');
+        } else if (nextPageNo <= maxPages && newJobsOnPage > 0) {
+            // 1) Try "Next" button href, first matching selector from the config
+            const nextLink = await findNextPage();
+            let nextPageUrl = '';
+            if (nextLink) {
+                nextPageUrl = nextLink.href;
+                recordSelectorMatch('nextPage', nextLink.selector);
+            }
+            // 2) Fallback: build `-2` style URL from current path
+            if (!nextPageUrl) {
+                nextPageUrl = buildPageUrl(request.url, nextPageNo);
+                recordSelectorMatch('nextPage', 'page number in path');
+            }
+            await addRequests([{
+                url: nextPageUrl,
+                uniqueKey: `${search.id}-${nextPageUrl}-page-${nextPageNo}`,
+                userData: { searchId: search.id },
+            }]);
+            log.info(`Queued next page: ${nextPageUrl}`);
+        } else if (newJobsOnPage === 0) {
+            log.info('No new jobs saved on this page; stopping pagination');
+        } else {
+            log.info('Reached pagination limit for this run');
+        }
+    };
+    /**
+     * Everything after the jobs of one results page are extracted: budget, deduplication,
+     * incremental mode, filters, detail enrichment, saving and pagination.
+     * `enrichJobs` and `findNextPage` come from the crawler that loaded the page.
+     */
+    const processSearchResults = async ({ jobs, search, request, pageUrl, enrichJobs, findNextPage, addRequests }) => {
+        const searchState = searchStates[search.id];
+        // Extract page number from URL (supports both `?pageNo=` and `-2` style)
+        const currentPageNo = getPageNumberFromUrl(pageUrl);
+        // Filter jobs if we've reached the limit
+        let jobsToSave = search.maxJobs > 0
+            ? jobs.slice(0, Math.max(0, search.maxJobs - searchState.jobsScraped))
+            : jobs;
+        // Remove duplicates - filter out jobs we've already seen.
+        // Claimed keys are released on restart, or here when the page is retried.
+        for (const key of pagesInProgress[request.uniqueKey] || []) delete seenJobKeys[key];
+        const claimedKeys = [];
+        const uniqueJobs = jobsToSave.filter(job => {
+            const key = getJobDedupKey(job);
+            if (!key) return true; // Nothing to identify the job by
+            if (seenJobKeys[key]) {
+                log.debug(`Skipping duplicate job: ${job.title} (${key})`);
+                return false;
+            }
+            seenJobKeys[key] = true;
+            claimedKeys.push(key);
+            return true;
+        });
+        pagesInProgress[request.uniqueKey] = claimedKeys;
+        if (uniqueJobs.length < jobsToSave.length) {
+            log.info(`Removed ${jobsToSave.length - uniqueJobs.length} duplicate jobs`);
+        }
+        jobsToSave = uniqueJobs;
+        // Pagination is driven by new jobs on the page, not by what survives filtering
+        const newJobsOnPage = jobsToSave.length;
+        // Incremental mode: drop jobs already saved by a previous run
+        let pageOnlyKnownJobs = false;
+        if (seenJobsStore) {
+            const freshJobs = splitKnownJobs(jobsToSave);
+            if (freshJobs.length < jobsToSave.length) {
+                log.info(`Skipped ${jobsToSave.length - freshJobs.length} jobs seen in previous runs`);
+            }
+            pageOnlyKnownJobs = jobsToSave.length > 0 && freshJobs.length === 0;
+            jobsToSave = freshJobs;
+        }
+        // Filter before enrichment to skip detail pages of rejected jobs.
+        // Keywords need the full description, so they are checked after enrichment.
+        jobsToSave = filterJobs(jobsToSave, { skipKeywords: fullPageDetails });
+        // Always enrich from detail pages to get full descriptions (if enabled)
+        if (jobsToSave.length > 0 && fullPageDetails) {
+            log.info('Enriching jobs with full descriptions from detail pages...');
+            jobsToSave = await enrichJobs(jobsToSave);
+            jobsToSave = filterJobs(jobsToSave);
+        }
+        // Next page is queued before saving, so a restart after the save cannot lose it
+        if (search.maxJobs > 0 && searchState.jobsScraped + jobsToSave.length >= search.maxJobs) {
+            // Check if we've reached the limit for this search
+            log.info(`Reached maximum jobs limit for ${search.id}: ${search.maxJobs}`);
+        } else {
+            await queueNextPage({ search, request, currentPageNo, newJobsOnPage, pageOnlyKnownJobs, findNextPage, addRequests });
+        }
+        await saveJobs(jobsToSave, search, addRequests, request.uniqueKey);
+    };
+    /**
+     * Playwright crawler with Camoufox for anti-bot bypass
+     */
+    const createBrowserCrawler = async (maxRequests) => new PlaywrightCrawler({
         proxyConfiguration,
-        maxRequestsPerCrawl,
+        maxRequestsPerCrawl: maxRequests,
         maxConcurrency: 3,
         navigationTimeoutSecs: 60, // First page needs more time due to Camoufox startup
-        requestHandlerTimeoutSecs: 300, // 5 minutes for full enrichment of batch
+        // Detail enrichment stops before this runs out, however long the search page itself took
+        requestHandlerTimeoutSecs: BROWSER_HANDLER_TIMEOUT_SECS,
         retryOnBlocked: true,
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        sessionPoolOptions: sessionPoolOptions('BROWSER_SESSION_POOL'),
+        preNavigationHooks: [restoreSessionStorage],
         launchContext: {
             launcher: firefox,
-            launchOptions: await camoufoxLaunchOptions({
-                headless: true,
-                proxy: proxyUrl,
-                geoip: true,
-                os: 'windows',
-                locale: 'en-IN',
-            }),
+            launchOptions: await camoufoxLaunchOptions(CAMOUFOX_OPTIONS),
         },
-        async requestHandler({ page, request }) {
-            pagesProcessed++;
-            log.info(`Processing page ${pagesProcessed}: ${request.url}`);
+        browserPoolOptions: {
+            // Every browser gets its session's proxy; geoip matches timezone and locale to that exit IP
+            preLaunchHooks: [
+                async (_pageId, launchContext) => {
+                    if (!launchContext.proxyUrl) return;
+                    Object.assign(
+                        launchContext.launchOptions,
+                        await camoufoxLaunchOptions({ ...CAMOUFOX_OPTIONS, proxy: launchContext.proxyUrl, geoip: true }),
+                    );
+                },
+            ],
+        },
+        async requestHandler({ page, request, session, crawler }) {
+            const enrichmentDeadline = getEnrichmentDeadline(BROWSER_HANDLER_TIMEOUT_SECS);
+            if (skipCompletedRequest(request)) return;
+            const addRequests = (requests) => crawler.addRequests(requests);
+            if (request.label === 'COMPANY') {
+                const company = await scrapeCompanyProfile(page, request).catch((error) => {
+                    markSessionBlocked(session, { willThrow: true });
+                    throw error;
+                });
+                markSessionGood(session);
+                await companiesDataset.pushData(company);
+                companyStats.scraped++;
+                completedRequests[request.uniqueKey] = true;
+                log.info(`Saved company profile: ${company.name || company.companyId}`);
+                return;
+            }
+            if (request.label === 'DETAIL') {
+                // Detail page that was blocked over HTTP - finish the job here
+                const { job, searchId } = request.userData;
+                const detail = await readJobDetailFromPage(page, request.url, detailParseOptions);
+                if (detail?.blocked) {
+                    markSessionBlocked(session, { willThrow: true });
+                    // Thrown so the crawler retries the request
+                    throw new Error(`Blocked detail page: ${request.url}`);
+                }
+                markSessionGood(session);
+                const search = searchesById.get(searchId) || searches[0];
+                await saveJobs(filterJobs([mergeDetailIntoJob(job, detail)]), search, addRequests, request.uniqueKey);
+                return;
+            }
+            const search = searchesById.get(request.userData.searchId) || searches[0];
+            const searchState = searchStates[search.id];
+            crawlState.pagesProcessed++;
+            searchState.pagesProcessed++;
+            log.info(`Processing page ${crawlState.pagesProcessed} [${search.id}]: ${request.url}`);
             try {
                 // Set realistic headers for India
                 await page.setExtraHTTPHeaders({
@@ -1028,6 +1068,8 @@ try {
                     'Sec-Fetch-User': '?1',
                     'Upgrade-Insecure-Requests': '1',
                 });
+                // Listen for the search API XHR the page makes while it renders
+                const searchApiCapture = captureSearchApiResponses(page);
                 // Navigate to page with retry to handle aborts
                 await navigateWithRetry(page, request.url);
                 // Wait for initial load - reduced timeout for speed
@@ -1039,11 +1081,7 @@ try {
                 while (retryCount < maxRetries) {
                     const title = await page.title();
                     const bodyText = await page.evaluate(() => document.body?.innerText?.substring(0, 500) || '');
-                    if (title.includes('Just a moment') ||
-                        title.includes('Cloudflare') ||
-                        title.includes('Security check') ||
-                        bodyText.includes('unusual traffic') ||
-                        bodyText.includes('Checking your browser')) {
+                    if (isChallengePage(title, bodyText)) {
                         challengeDetected = true;
                         log.warning(`Challenge detected (attempt ${retryCount + 1}/${maxRetries})`);
                         // Wait for challenge to resolve
@@ -1069,37 +1107,29 @@ try {
                         // No challenge detected, break out
                         if (challengeDetected) {
                             log.info('Challenge bypassed successfully!');
+                            sessionStats.recordChallengeSolved(session.id);
+                            await saveSessionState(page, session);
                         }
                         break;
                     }
                 }
                 if (retryCount >= maxRetries) {
                     log.error('Failed to bypass challenge after maximum retries');
+                    markSessionBlocked(session, { willThrow: true });
                     await saveDebugInfo(page);
-                    return;
+                    // Rethrown by the catch below, so the crawler retries the page with a new session and proxy
+                    throw createBlockedPageError(request.url);
                 }
                 // Add a small delay to ensure dynamic content loads - wait for job listings
-                await waitForSearchResultsToRender(page);
+                await waitForSearchResultsToRender(page, selectorConfig.searchPage.resultsReady);
                 let jobs = [];
                 let pageExtractionMethod = '';
-                let searchParams = {}; // Declare outside try block for pagination access
                 // Extract search parameters from current URL
                 const currentUrl = page.url();
                 let searchQuery = '';
                 let searchLocation = '';
                 // Prefer explicit input values when present
                 const parsedUrl = new URL(currentUrl);
-                // Extract page number from URL (supports both `?pageNo=` and `-2` style)
-                const urlParams = parsedUrl.searchParams;
-                let currentPageNo = parseInt(urlParams.get('pageNo') || '1', 10);
-                if (!Number.isFinite(currentPageNo) || currentPageNo < 1) currentPageNo = 1;
-                if (!urlParams.get('pageNo')) {
-                    const pathPageMatch = parsedUrl.pathname.replace(/\/$/, '').match(/-(\d+)$/);
-                    if (pathPageMatch) {
-                        const n = parseInt(pathPageMatch[1], 10);
-                        if (Number.isFinite(n) && n >= 1) currentPageNo = n;
-                    }
-                }
                 const pathMatch = parsedUrl.pathname.match(/\/([^/]+?)-jobs(?:-in-([^/?]+))?/i);
                 if (pathMatch) {
                     searchQuery = pathMatch[1]?.replace(/-/g, ' ') || searchQuery;
@@ -1108,22 +1138,36 @@ try {
                     searchLocation = locSlug ? locSlug.replace(/-/g, ' ') : searchLocation;
                 }
                 // Normalize inputs for API
-                searchQuery = (searchQuery || input.searchQuery || '').trim();
-                searchLocation = (searchLocation || input.location || '').trim();
-                log.info(`Search query: "${searchQuery}", Location: "${searchLocation}", Page: ${currentPageNo}`);
-                // Strategy 1: HTML parsing (fast and most reliable without IN residential proxy)
-                jobs = await extractJobDataViaHTML(page);
+                searchQuery = (searchQuery || search.searchQuery || '').trim();
+                searchLocation = (searchLocation || search.location || '').trim();
+                log.info(`Search query: "${searchQuery}", Location: "${searchLocation}", Page: ${getPageNumberFromUrl(currentUrl)}`);
+                // Strategy 1: Naukri's search API responses captured during page load
+                jobs = await extractJobsViaSearchApi(searchApiCapture);
                 if (jobs.length > 0) {
-                    pageExtractionMethod = 'HTML Parsing (Cheerio)';
-                    extractionMethod = pageExtractionMethod;
-                    log.info(`✓ HTML parsing successful: ${jobs.length} jobs`);
+                    pageExtractionMethod = 'Search API (XHR)';
+                    crawlState.extractionMethod = pageExtractionMethod;
+                    for (let i = 0; i < jobs.length; i++) recordSelectorMatch('card', 'search API response');
+                    log.info(`✓ Search API extraction successful: ${jobs.length} jobs`);
+                }
+                // Strategy 2: HTML parsing (fast and most reliable without IN residential proxy)
+                if (jobs.length === 0) {
+                    jobs = await extractJobDataViaHTML(page, {
+                        selectors: selectorConfig.searchPage,
+                        onSelectorMatch: recordSelectorMatch,
+                    });
+                    if (jobs.length > 0) {
+                        pageExtractionMethod = 'HTML Parsing (Cheerio)';
+                        crawlState.extractionMethod = pageExtractionMethod;
+                        log.info(`✓ HTML parsing successful: ${jobs.length} jobs`);
+                    }
                 }
-                // Strategy 2: JSON-LD fallback (sometimes present)
+                // Strategy 3: JSON-LD fallback (sometimes present)
                 if (jobs.length === 0) {
                     jobs = await extractJobsViaJsonLD(page);
                     if (jobs.length > 0) {
                         pageExtractionMethod = 'JSON-LD';
-                        extractionMethod = pageExtractionMethod;
+                        crawlState.extractionMethod = pageExtractionMethod;
+                        for (let i = 0; i < jobs.length; i++) recordSelectorMatch('card', 'script[type="application/ld+json"]');
                         log.info(`✓ JSON-LD extraction successful: ${jobs.length} jobs`);
                     }
                 }
@@ -1133,116 +1177,255 @@ try {
                     await saveDebugInfo(page);
                 }
                 if (jobs.length > 0) {
-                    // Filter jobs if we've reached the limit
-                    let jobsToSave = maxJobs > 0
-                        ? jobs.slice(0, Math.max(0, maxJobs - totalJobsScraped))
-                        : jobs;
-                    // Remove duplicates - filter out jobs we've already seen
-                    const uniqueJobs = jobsToSave.filter(job => {
-                        if (!job.url) return true; // Keep jobs without URL
-                        if (seenJobUrls.has(job.url)) {
-                            log.debug(`Skipping duplicate job: ${job.title} (${job.url})`);
-                            return false;
-                        }
-                        seenJobUrls.add(job.url);
-                        return true;
-                    });
-                    if (uniqueJobs.length < jobsToSave.length) {
-                        log.info(`Removed ${jobsToSave.length - uniqueJobs.length} duplicate jobs`);
-                    }
-                    jobsToSave = uniqueJobs;
-                    // Always enrich from detail pages to get full descriptions (if enabled)
-                    if (jobsToSave.length > 0 && fullPageDetails) {
-                        log.info('Enriching jobs with full descriptions from detail pages...');
-                        jobsToSave = await enrichJobsWithFullDescriptions(jobsToSave, page, fullPageDetails);
-                    }
-                    // Save jobs to dataset
-                    if (jobsToSave.length > 0) {
-                        await Actor.pushData(jobsToSave);
-                        totalJobsScraped += jobsToSave.length;
-                        log.info(`Saved ${jobsToSave.length} jobs. Total: ${totalJobsScraped}`);
-                    }
-                    // Check if we've reached the limit
-                    if (maxJobs > 0 && totalJobsScraped >= maxJobs) {
-                        log.info(`Reached maximum jobs limit: ${maxJobs}`);
-                        return;
-                    }
-                    // Pagination: deterministic `pageNo` param to avoid fragile DOM selectors.
-                    // Prefer the real "Next" link; fallback to path-based `-2` URLs.
-                    // Stops automatically if no new jobs are saved or if maxJobs is reached.
-                    if (maxJobs === 0 || totalJobsScraped < maxJobs) {
-                        const maxPages = maxJobs === 0 ? 50 : Math.ceil(maxJobs / 20);
-                        const nextPageNo = currentPageNo + 1;
-                        if (nextPageNo <= maxPages && jobsToSave.length > 0) {
-                            // 1) Try "Next" button href
-                            const nextHref = await page.evaluate(() => {
-                                const candidates = Array.from(document.querySelectorAll('a.styles_btn-secondary__2AsIP'));
+                    markSessionGood(session);
+                    await processSearchResults({
+                        jobs,
+                        search,
+                        request,
+                        pageUrl: currentUrl,
+                        enrichJobs: (jobsToEnrich) => enrichJobsWithFullDescriptions(
+                            jobsToEnrich,
+                            (jobUrl) => fetchFullDescription(jobUrl, page, detailParseOptions),
+                            fullPageDetails,
+                            {
+                                ...detailPoolOptions,
+                                deadline: enrichmentDeadline,
+                                onBlocked: () => markSessionBlocked(session),
+                            },
+                        ),
+                        findNextPage: () => page.evaluate((nextPageSelectors) => {
+                            for (const selector of nextPageSelectors) {
+                                let candidates = [];
+                                try {
+                                    candidates = Array.from(document.querySelectorAll(selector));
+                                } catch {
+                                    continue;
+                                }
                                 const next = candidates.find(a => (a.textContent || '').trim().toLowerCase() === 'next');
                                 const href = next?.getAttribute('href') || '';
-                                if (!href) return '';
+                                if (!href) continue;
                                 try {
-                                    return href.startsWith('http') ? href : new URL(href, location.origin).toString();
+                                    return {
+                                        href: href.startsWith('http') ? href : new URL(href, location.origin).toString(),
+                                        selector,
+                                    };
                                 } catch {
-                                    return '';
+                                    return null;
                                 }
-                            });
-                            let nextPageUrl = '';
-                            if (nextHref) {
-                                nextPageUrl = nextHref;
-                            }
-                            // 2) Fallback: build `-2` style URL from current path
-                            if (!nextPageUrl) {
-                                const u = new URL(request.url);
-                                u.searchParams.delete('pageNo');
-                                const basePath = u.pathname.replace(/\/$/, '').replace(/-(\d+)$/, '');
-                                u.pathname = `${basePath}-${nextPageNo}`;
-                                nextPageUrl = u.toString();
                             }
-                            await crawler.addRequests([{
-                                url: nextPageUrl,
-                                uniqueKey: `${nextPageUrl}-page-${nextPageNo}`,
-                            }]);
-                            log.info(`Queued next page: ${nextPageUrl}`);
-                        } else if (jobsToSave.length === 0) {
-                            log.info('No new jobs saved on this page; stopping pagination');
-                        } else {
-                            log.info('Reached pagination limit for this run');
-                        }
-                    }
+                            return null;
+                        }, selectorConfig.searchPage.nextPage),
+                        addRequests,
+                    });
                 } else {
                     log.warning('No jobs found on this page');
                 }
             } catch (error) {
+                if (isBlockedPageError(error)) throw error;
                 log.error(`Error processing page: ${error.message}`, {
                     url: request.url
                 });
             }
         },
-        async failedRequestHandler({ request }, error) {
+        async failedRequestHandler({ request, crawler }, error) {
             log.error(`Request failed: ${request.url} - ${error.message}`);
+            if (request.label === 'DETAIL') {
+                // Keep the listing data, as for detail pages blocked in the browser
+                const { job, searchId } = request.userData;
+                const search = searchesById.get(searchId) || searches[0];
+                await saveJobs(filterJobs([job]), search, (requests) => crawler.addRequests(requests), request.uniqueKey);
+            }
         }
     });
+    /**
+     * HTTP + Cheerio crawler (got-scraping) - no browser. Blocked requests and pages
+     * without server-rendered results are queued for the browser crawler.
+     */
+    const createHttpCrawler = () => new CheerioCrawler({
+        proxyConfiguration,
+        maxRequestsPerCrawl,
+        maxConcurrency: 5,
+        maxRequestRetries: 2,
+        requestHandlerTimeoutSecs: HTTP_HANDLER_TIMEOUT_SECS,
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        sessionPoolOptions: sessionPoolOptions('HTTP_SESSION_POOL'),
+        async requestHandler({ request, $, body, session, sendRequest, crawler }) {
+            const enrichmentDeadline = getEnrichmentDeadline(HTTP_HANDLER_TIMEOUT_SECS);
+            if (skipCompletedRequest(request)) return;
+            const addRequests = (requests) => crawler.addRequests(requests);
+            const title = $('title').text();
+            if (isChallengePage(title, $('body').text().substring(0, 2000))) {
+                markSessionBlocked(session);
+                queueBrowserFallback(request, `Challenge page over HTTP (${title})`);
+                return;
+            }
+            markSessionGood(session);
+            if (request.label === 'COMPANY') {
+                const company = parseCompanyProfile($, request.url, request.userData.companyId);
+                await companiesDataset.pushData(company);
+                companyStats.scraped++;
+                completedRequests[request.uniqueKey] = true;
+                log.info(`Saved company profile: ${company.name || company.companyId}`);
+                return;
+            }
+            const search = searchesById.get(request.userData.searchId) || searches[0];
+            const html = body.toString();
+            // The search API is only called by the rendered page, so HTML then JSON-LD here
+            let jobs = extractJobsFromHtml(html, {
+                selectors: selectorConfig.searchPage,
+                onSelectorMatch: recordSelectorMatch,
+            });
+            let pageExtractionMethod = 'HTML Parsing (HTTP)';
+            if (jobs.length === 0) {
+                jobs = extractJobsFromJsonLdScripts($('script[type="application/ld+json"]').map((_, el) => $(el).text()).get());
+                pageExtractionMethod = 'JSON-LD (HTTP)';
+                for (let i = 0; i < jobs.length; i++) recordSelectorMatch('card', 'script[type="application/ld+json"]');
+            }
+            if (jobs.length === 0) {
+                // Results are often rendered client-side only
+                queueBrowserFallback(request, 'No jobs in the HTML response');
+                return;
+            }
+            crawlState.extractionMethod = pageExtractionMethod;
+            const searchState = searchStates[search.id];
+            crawlState.pagesProcessed++;
+            searchState.pagesProcessed++;
+            log.info(`Processing page ${crawlState.pagesProcessed} [${search.id}] over HTTP: ${request.url} (${jobs.length} jobs)`);
+            await processSearchResults({
+                jobs,
+                search,
+                request,
+                pageUrl: request.loadedUrl || request.url,
+                enrichJobs: async (jobsToEnrich) => {
+                    const blockedJobs = new Set();
+                    const enrichedJobs = await enrichJobsWithFullDescriptions(
+                        jobsToEnrich,
+                        (jobUrl) => fetchJobDetailOverHttp(jobUrl, sendRequest, detailParseOptions),
+                        fullPageDetails,
+                        {
+                            ...detailPoolOptions,
+                            deadline: enrichmentDeadline,
+                            onBlocked: (job) => {
+                                blockedJobs.add(job);
+                                markSessionBlocked(session);
+                            },
+                        },
+                    );
+                    // Blocked detail pages are finished and saved by the browser crawler
+                    for (const job of blockedJobs) {
+                        queueBrowserFallback({
+                            url: job.url,
+                            uniqueKey: `detail-${getJobDedupKey(job)}`,
+                            label: 'DETAIL',
+                            userData: { job, searchId: search.id },
+                        }, 'Blocked detail page over HTTP');
+                    }
+                    return enrichedJobs.filter((_, i) => !blockedJobs.has(jobsToEnrich[i]));
+                },
+                findNextPage: async () => findNextPageLink($, selectorConfig.searchPage.nextPage, request.loadedUrl || request.url),
+                addRequests,
+            });
+        },
+        async failedRequestHandler({ request }, error) {
+            queueBrowserFallback(request, `HTTP request failed (${error.message})`);
+        },
+    });
     // Start crawling
-    log.info('Starting crawler with Camoufox for anti-bot bypass...');
-    await crawler.run([searchUrl]);
+    const startRequests = searches.map((search) => ({
+        url: search.url,
+        uniqueKey: `${search.id}-${search.url}`,
+        userData: { searchId: search.id },
+    }));
+    if (crawlerMode === 'http') {
+        // Both crawlers share the default request queue, so a run restarted during the browser
+        // fallback continues with the browser - the HTTP handler cannot handle its requests
+        if (crawlState.crawlPhase !== 'browserFallback') {
+            log.info('Starting HTTP crawler (no browser)...');
+            activeCrawler = createHttpCrawler();
+            await activeCrawler.run(startRequests);
+        }
+        if (browserFallbackRequests.length > 0) {
+            crawlState.crawlPhase = 'browserFallback';
+            await persistCrawlState();
+            log.info(`Retrying ${browserFallbackRequests.length} requests with Camoufox...`, browserFallbackStats);
+            activeCrawler = await createBrowserCrawler(maxRequestsPerCrawl + browserFallbackRequests.length);
+            await activeCrawler.run(browserFallbackRequests);
+        }
+    } else {
+        log.info('Starting crawler with Camoufox for anti-bot bypass...');
+        activeCrawler = await createBrowserCrawler(maxRequestsPerCrawl);
+        await activeCrawler.run(startRequests);
+    }
+    if (jobsWebhook) {
+        if (webhookBatches.length > 0) log.info(`Waiting for ${webhookBatches.length} webhook deliveries...`);
+        await jobsWebhook.flush();
+    }
+    await persistCrawlState();
+    await Actor.setValue(SKILL_FREQUENCIES_KEY, summarizeSkillCounts(skillStats));
+    if (seenJobsStore) {
+        await seenJobsStore.save();
+        log.info(`Incremental mode: ${incrementalStats.newJobs} new jobs, ${incrementalStats.alreadySeen} already seen`);
+    }
+    const selectorHealthSummary = selectorHealth.summarize({ minFillRate: minFillRate / 100 });
+    if (selectorHealthSummary.status === 'degraded') {
+        log.warning(
+            `Low field fill rates (below ${minFillRate}%): ${selectorHealthSummary.lowFillRateFields.join(', ')}. `
+            + 'Naukri may have changed its page layout.',
+            selectorHealthSummary.fillRates,
+        );
+    }
     // Calculate statistics
-    const endTime = Date.now();
-    const duration = Math.round((endTime - startTime) / 1000);
+    // Measured from the first start, so restarted runs report their full duration
+    const duration = Math.round((Date.now() - Date.parse(crawlState.startedAt)) / 1000);
     const statistics = {
-        totalJobsScraped,
-        pagesProcessed,
-        extractionMethod,
+        totalJobsScraped: crawlState.totalJobsScraped,
+        pagesProcessed: crawlState.pagesProcessed,
+        extractionMethod: crawlState.extractionMethod,
+        restarts: crawlState.restarts,
+        filteredOut: filterStats,
+        ...(seenJobsStore ? { incremental: incrementalStats } : {}),
+        ...(companiesDataset ? { companies: companyStats } : {}),
+        crawlerMode,
+        ...(crawlerMode === 'http' ? { browserFallback: browserFallbackStats } : {}),
+        sessions: sessionStats.summarize(),
+        proxies: proxyHealth.summarize(),
+        ...(jobsWebhook ? { webhook: jobsWebhook.summarize() } : {}),
+        selectorHealth: selectorHealthSummary,
+        selectorConfig: selectorConfigInfo,
+        searches: searches.map((search) => ({
+            id: search.id,
+            label: search.label,
+            url: search.url,
+            maxJobs: search.maxJobs,
+            ...searchStates[search.id],
+        })),
         duration: `${duration} seconds`,
         timestamp: new Date().toISOString()
     };
     // Save statistics
     await Actor.setValue('statistics', statistics);
+    // Market report over every saved item - the dataset also holds jobs saved before a restart
+    try {
+        const reportBuilder = createReportBuilder();
+        const dataset = await Actor.openDataset();
+        await dataset.forEach((job) => reportBuilder.add(job));
+        const report = reportBuilder.build({ searches: searches.map(({ id, label, url }) => ({ id, label, url })) });
+        await Actor.setValue(REPORT_KEY, report);
+        await Actor.setValue(REPORT_HTML_KEY, renderReportHtml(report), { contentType: 'text/html; charset=utf-8' });
+        log.info(`Run report saved to ${REPORT_KEY} and ${REPORT_HTML_KEY} (${report.totalJobs} jobs)`);
+    } catch (error) {
+        log.warning(`Could not build the run report: ${error.message}`);
+    }
     log.info('✓ Scraping completed successfully!', statistics);
-    if (totalJobsScraped > 0) {
-        log.info(`Successfully scraped ${totalJobsScraped} jobs in ${duration} seconds`);
+    if (crawlState.totalJobsScraped > 0) {
+        log.info(`Successfully scraped ${crawlState.totalJobsScraped} jobs in ${duration} seconds`);
     } else {
         log.warning('No jobs were scraped. Please check your search parameters.');
     }
+    if (selectorHealthSummary.status === 'degraded' && lowFillRateAction === 'fail') {
+        await Actor.fail(`Selector health check failed: ${selectorHealthSummary.lowFillRateFields.join(', ')} below ${minFillRate}% fill rate`);
+    }
 } catch (error) {
     log.exception(error, 'Actor failed with error');
     throw error;
@@ -0,0 +1,202 @@
+/**
+ * Extract experience from description text
+ */
+export function extractExperience(text) {
+    if (!text) return 'Not specified';
+    const expMatch = text.match(/(\d+)[\s-]+(?:to|-)[\s]*(\d+)[\s]*(?:years?|yrs?)/i);
+    if (expMatch) {
+        return `${expMatch[1]}-${expMatch[2]} years`;
+    }
+    const singleMatch = text.match(/(\d+)[\s]*(?:\+)?[\s]*(?:years?|yrs?)/i);
+    if (singleMatch) {
+        return `${singleMatch[1]}+ years`;
+    }
+    if (text.toLowerCase().includes('fresher')) {
+        return '0-1 years';
+    }
+    return 'Not specified';
+}
+function emptyExperience() {
+    return {
+        experienceMinYears: null,
+        experienceMaxYears: null,
+        isFresher: false,
+    };
+}
+/**
+ * Parse experience text ("2-5 Yrs", "5+ years", "6-12 months", "Fresher")
+ * into numeric min/max years plus a fresher flag
+ */
+export function parseExperience(text) {
+    if (!text || typeof text !== 'string') return emptyExperience();
+    const lower = text.trim().toLowerCase();
+    const mentionsFresher = /\bfreshers?\b/.test(lower);
+    const toYears = (value, unit) => {
+        const n = Number(value);
+        if (!Number.isFinite(n)) return null;
+        return /^mo/.test(unit || '') ? Math.round((n / 12) * 10) / 10 : n;
+    };
+    // Bare ranges like "2-5" are only trusted on short card text, not inside descriptions
+    const isShort = lower.length <= 20;
+    const rangeMatch = lower.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*(years?|yrs?|months?|mos?)?/);
+    if (rangeMatch && (rangeMatch[3] || isShort)) {
+        let min = toYears(rangeMatch[1], rangeMatch[3]);
+        let max = toYears(rangeMatch[2], rangeMatch[3]);
+        if (min > max) [min, max] = [max, min];
+        return { experienceMinYears: min, experienceMaxYears: max, isFresher: mentionsFresher || min === 0 };
+    }
+    const singleMatch = lower.match(/(\d+(?:\.\d+)?)\s*\+?\s*(years?|yrs?|months?|mos?)/);
+    if (singleMatch) {
+        const min = toYears(singleMatch[1], singleMatch[2]);
+        return { experienceMinYears: min, experienceMaxYears: null, isFresher: mentionsFresher || min === 0 };
+    }
+    if (mentionsFresher) {
+        return { experienceMinYears: 0, experienceMaxYears: 1, isFresher: true };
+    }
+    return emptyExperience();
+}
+/**
+ * Parse JSON-LD `experienceRequirements` (text or OccupationalExperienceRequirements)
+ * into the same structured fields as parseExperience
+ */
+export function parseExperienceFromJsonLd(experienceRequirements) {
+    if (!experienceRequirements) return emptyExperience();
+    if (typeof experienceRequirements === 'string') return parseExperience(experienceRequirements);
+    const months = Number(experienceRequirements.monthsOfExperience ?? experienceRequirements.months);
+    if (!Number.isFinite(months) || months < 0) return emptyExperience();
+    const years = Math.round((months / 12) * 10) / 10;
+    return { experienceMinYears: years, experienceMaxYears: null, isFresher: years === 0 };
+}
+function emptySalary() {
+    return {
+        salaryMin: null,
+        salaryMax: null,
+        salaryCurrency: null,
+        salaryPeriod: null,
+        isSalaryDisclosed: false,
+    };
+}
+function detectSalaryCurrency(lower) {
+    if (/\$|\busd\b/.test(lower)) return 'USD';
+    if (/€|\beur\b/.test(lower)) return 'EUR';
+    if (/£|\bgbp\b/.test(lower)) return 'GBP';
+    return 'INR';
+}
+function detectSalaryPeriod(lower) {
+    if (/per\s*month|\/\s*month|\bmonthly\b|(?:^|[^a-z])p\.?\s?m\.?(?![a-z])/.test(lower)) return 'MONTH';
+    if (/per\s*week|\/\s*week|\bweekly\b/.test(lower)) return 'WEEK';
+    if (/per\s*day|\/\s*day|\bdaily\b/.test(lower)) return 'DAY';
+    if (/per\s*hour|\/\s*h(?:ou)?r\b|\bhourly\b/.test(lower)) return 'HOUR';
+    // Naukri lists salaries per annum ("PA", "LPA") unless stated otherwise
+    return 'YEAR';
+}
+/**
+ * Parse Naukri salary text ("5-8 Lacs PA", "1-1.5 Cr PA", "25,000-30,000 per month")
+ * into numeric min/max values in full currency units
+ */
+export function parseSalary(text) {
+    if (!text || typeof text !== 'string') return emptySalary();
+    const lower = text.trim().toLowerCase();
+    if (/not\s+(?:disclosed|specified|mentioned)|as per (?:industry|company)|negotiable|competitive/.test(lower)) {
+        return emptySalary();
+    }
+    const numbers = (lower.match(/\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?/g) || [])
+        .map((number) => ({ value: Number(number.replace(/,/g, '')), grouped: number.includes(',') }))
+        .filter(({ value }) => Number.isFinite(value));
+    if (numbers.length === 0) return emptySalary();
+    let multiplier = 1;
+    if (/\d\s*(?:crores?|cr)\b|\b(?:crores?|cr)\b/.test(lower)) multiplier = 10000000;
+    else if (/\b(?:lakhs?|lacs?|lpa)\b|\d\s*l\b/.test(lower)) multiplier = 100000;
+    else if (/\d\s*k\b/.test(lower)) multiplier = 1000;
+    // Mixed-unit ranges ("50,000 - 1.5 Lacs P.A.") give the lower end as a full amount
+    const amountOf = ({ value, grouped }) => Math.round(grouped || value >= 1000 ? value : value * multiplier);
+    const [first, second] = numbers;
+    let salaryMin = amountOf(first);
+    let salaryMax = amountOf(second ?? first);
+    if (salaryMin > salaryMax) [salaryMin, salaryMax] = [salaryMax, salaryMin];
+    if (/\b(?:up\s*to|upto|max(?:imum)?)\b/.test(lower) && second == null) salaryMin = null;
+    if (!salaryMax) return emptySalary();
+    return {
+        salaryMin,
+        salaryMax,
+        salaryCurrency: detectSalaryCurrency(lower),
+        salaryPeriod: detectSalaryPeriod(lower),
+        isSalaryDisclosed: true,
+    };
+}
+/**
+ * Parse JSON-LD `baseSalary` (MonetaryAmount) into the same structured fields as parseSalary
+ */
+export function parseSalaryFromJsonLd(baseSalary) {
+    if (!baseSalary) return emptySalary();
+    if (typeof baseSalary === 'string') return parseSalary(baseSalary);
+    const { value } = baseSalary;
+    if (value == null) return emptySalary();
+    if (typeof value !== 'object' && !Number.isFinite(Number(value))) return parseSalary(String(value));
+    const toAmount = (v) => {
+        const n = Number(v);
+        return v != null && v !== '' && Number.isFinite(n) && n > 0 ? n : null;
+    };
+    const amount = typeof value === 'object' ? value : { value };
+    const salaryMin = toAmount(amount.minValue ?? amount.value);
+    const salaryMax = toAmount(amount.maxValue ?? amount.value) ?? salaryMin;
+    if (salaryMin == null && salaryMax == null) return emptySalary();
+    const unit = String(amount.unitText || '').toUpperCase();
+    return {
+        salaryMin,
+        salaryMax,
+        salaryCurrency: baseSalary.currency || 'INR',
+        salaryPeriod: ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'].includes(unit) ? unit : 'YEAR',
+        isSalaryDisclosed: true,
+    };
+}
+const DAY_MS = 86400000;
+const RELATIVE_DATE_UNITS = {
+    minute: { ms: 60000, precision: 'hour' },
+    hour: { ms: 3600000, precision: 'hour' },
+    day: { ms: DAY_MS, precision: 'day' },
+    week: { ms: 7 * DAY_MS, precision: 'week' },
+    month: { ms: 30 * DAY_MS, precision: 'month' },
+    year: { ms: 365 * DAY_MS, precision: 'year' },
+};
+/**
+ * Convert a posting date - ISO from JSON-LD or Naukri's relative card text
+ * ("Just Now", "Today", "3 Days Ago", "30+ Days Ago") - into an ISO timestamp
+ * relative to `scrapedAt`. "N+" values and week/month units are flagged as approximate.
+ */
+export function parsePostedDate(raw, scrapedAt = new Date().toISOString()) {
+    const postedDateRaw = raw == null ? '' : String(raw).trim();
+    const result = { postedAt: null, postedAtPrecision: null, isPostedAtApproximate: false, postedDateRaw };
+    if (!postedDateRaw) return result;
+    const base = Date.parse(scrapedAt);
+    const text = postedDateRaw.toLowerCase().replace(/^posted\s*(?:on|:)?\s*/, '');
+    const at = (ms, precision, isApproximate = false) => ({
+        ...result,
+        postedAt: new Date(ms).toISOString(),
+        postedAtPrecision: precision,
+        isPostedAtApproximate: isApproximate,
+    });
+    if (/just now|few (?:seconds|minutes)/.test(text)) return at(base, 'hour');
+    if (/few hours/.test(text)) return at(base, 'day', true);
+    if (/^today\b/.test(text)) return at(base, 'day');
+    if (/^yesterday\b/.test(text)) return at(base - DAY_MS, 'day');
+    const relMatch = text.match(/(\d+)\s*(\+)?\s*(minute|min|hour|hr|day|week|month|year)s?\s*(\+)?\s*ago/);
+    if (relMatch) {
+        const unitKey = { min: 'minute', hr: 'hour' }[relMatch[3]] || relMatch[3];
+        const unit = RELATIVE_DATE_UNITS[unitKey];
+        const isLowerBound = Boolean(relMatch[2] || relMatch[4]);
+        const isApproximate = isLowerBound || ['week', 'month', 'year'].includes(unitKey);
+        return at(base - Number(relMatch[1]) * unit.ms, unit.precision, isApproximate);
+    }
+    // ISO dates ("2024-01-15") and datetimes ("2024-01-15T10:00:00Z")
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const parsed = Date.parse(postedDateRaw);
+        if (Number.isFinite(parsed)) return at(parsed, /t\d{2}:\d{2}/.test(text) ? 'exact' : 'day');
+    }
+    // Absolute dates with a month name and year ("12 Mar 2024")
+    if (/\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/.test(text) && /\b\d{4}\b/.test(text)) {
+        const parsed = Date.parse(text);
+        if (Number.isFinite(parsed)) return at(parsed, 'day');
+    }
+    return result;
+}
@@ -0,0 +1,66 @@
+// Block rates are only trusted after this many requests through a country
+const MIN_HEALTH_SAMPLE = 5;
+
+/**
+ * Proxy URL without its password, used as the per-proxy key in statistics.
+ * Apify Proxy keeps the session in the username, so each exit IP gets its own key.
+ */
+export function redactProxyUrl(url) {
+    try {
+        const { username, host } = new URL(url);
+        return username ? `${decodeURIComponent(username)}@${host}` : host;
+    } catch {
+        return 'invalid proxy URL';
+    }
+}
+
+const blockRate = (stats) =>
+    stats && stats.successes + stats.blocks > 0 ? stats.blocks / (stats.successes + stats.blocks) : 0;
+
+/**
+ * Successes and blocks per proxy and per proxy country. `pickCountry` keeps choosing the
+ * preferred country (IN - Naukri flags foreign IPs more often) until its block rate
+ * reaches `maxBlockRate`, then falls back to the country with the lowest block rate.
+ */
+export function createProxyHealth({ preferredCountry = 'IN', maxBlockRate = 0.5 } = {}) {
+    const byProxy = {};
+    const byCountry = {};
+    const record = ({ key, country }, field) => {
+        byProxy[key] ??= { country, successes: 0, blocks: 0 };
+        byCountry[country] ??= { successes: 0, blocks: 0 };
+        byProxy[key][field]++;
+        byCountry[country][field]++;
+    };
+    const isHealthy = (country) => {
+        const stats = byCountry[country];
+        if (!stats || stats.successes + stats.blocks < MIN_HEALTH_SAMPLE) return true;
+        return blockRate(stats) < maxBlockRate;
+    };
+    return {
+        recordSuccess(proxy) {
+            record(proxy, 'successes');
+        },
+        recordBlock(proxy) {
+            record(proxy, 'blocks');
+        },
+        pickCountry(countries) {
+            if (countries.includes(preferredCountry) && isHealthy(preferredCountry)) return preferredCountry;
+            return [...countries].sort((a, b) => blockRate(byCountry[a]) - blockRate(byCountry[b]))[0];
+        },
+        summarize() {
+            const withRate = (entries) =>
+                Object.fromEntries(
+                    Object.entries(entries).map(([key, stats]) => [
+                        key,
+                        { ...stats, blockRate: Math.round(blockRate(stats) * 1000) / 1000 },
+                    ]),
+                );
+            return {
+                preferredCountry,
+                proxiesUsed: Object.keys(byProxy).length,
+                byCountry: withRate(byCountry),
+                byProxy: withRate(byProxy),
+            };
+        },
+    };
+}
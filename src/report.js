@@ -0,0 +1,214 @@
+import { SALARY_PERIODS_PER_YEAR } from './filters.js';
+
+export const REPORT_KEY = 'REPORT';
+export const REPORT_HTML_KEY = 'REPORT.html';
+
+const TOP_LIST_SIZE = 20;
+const DAY_MS = 86400000;
+// Bucket upper bounds are exclusive; the same salary bands as Naukri's `ctcFilter`
+const SALARY_BANDS_LAKHS = [
+    ['0-3 Lakhs', 3],
+    ['3-6 Lakhs', 6],
+    ['6-10 Lakhs', 10],
+    ['10-15 Lakhs', 15],
+    ['15-25 Lakhs', 25],
+    ['25-50 Lakhs', 50],
+    ['50+ Lakhs', Infinity],
+];
+const EXPERIENCE_BANDS_YEARS = [
+    ['Fresher (0-1 years)', 1],
+    ['1-3 years', 3],
+    ['3-5 years', 5],
+    ['5-10 years', 10],
+    ['10+ years', Infinity],
+];
+const POSTING_AGE_BANDS_DAYS = [
+    ['Today', 1],
+    ['1-3 days', 4],
+    ['4-7 days', 8],
+    ['8-15 days', 16],
+    ['16-30 days', 31],
+    ['Over 30 days', Infinity],
+];
+
+const bandOf = (bands, value) => bands.find(([, upper]) => value < upper)[0];
+
+const increment = (counts, key) => {
+    counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+/**
+ * `{ label, count, share }` rows in the given label order, or by count when no order is given
+ */
+function toRows(counts, total, order = null) {
+    const labels = order
+        ? order.filter((label) => counts.has(label))
+        : [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    return labels.map((label) => ({
+        label,
+        count: counts.get(label),
+        share: total ? Math.round((counts.get(label) / total) * 1000) / 1000 : 0,
+    }));
+}
+
+/**
+ * Annual salary midpoint in the job's currency, or null when the salary is not disclosed
+ */
+function annualSalaryOf(job) {
+    if (!job.isSalaryDisclosed) return null;
+    const amount =
+        job.salaryMin != null && job.salaryMax != null
+            ? (job.salaryMin + job.salaryMax) / 2
+            : (job.salaryMax ?? job.salaryMin);
+    if (amount == null) return null;
+    return amount * (SALARY_PERIODS_PER_YEAR[job.salaryPeriod] || 1);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Market aggregates over saved jobs: top companies, salary, experience and posting-age
+ * distributions, jobs by city, work mode split and top skills. Jobs are added one by one
+ * (e.g. while iterating the dataset) and `build()` returns the `REPORT` record.
+ */
+export function createReportBuilder() {
+    let jobs = 0;
+    const companies = new Map();
+    const salaryBands = new Map();
+    const annualSalaries = [];
+    const experienceBands = new Map();
+    const cities = new Map();
+    const workModes = new Map();
+    const skills = new Map();
+    const postingAges = new Map();
+    return {
+        add(job) {
+            jobs++;
+            if (job.company) increment(companies, job.company.trim());
+            const annualSalary = annualSalaryOf(job);
+            if (annualSalary == null) {
+                increment(salaryBands, 'Not disclosed');
+            } else if (job.salaryCurrency && job.salaryCurrency !== 'INR') {
+                // Lakh bands and the median are in INR - foreign salaries are only counted
+                increment(salaryBands, 'Other currency');
+            } else {
+                annualSalaries.push(annualSalary);
+                increment(salaryBands, bandOf(SALARY_BANDS_LAKHS, annualSalary / 100000));
+            }
+            increment(
+                experienceBands,
+                job.experienceMinYears == null
+                    ? 'Not specified'
+                    : bandOf(EXPERIENCE_BANDS_YEARS, job.experienceMinYears),
+            );
+            for (const city of new Set((job.locations || []).map((location) => location.city).filter(Boolean))) {
+                increment(cities, city);
+            }
+            increment(workModes, job.workMode || 'unknown');
+            for (const skill of job.skills || []) increment(skills, skill);
+            const postedAt = Date.parse(job.postedAt);
+            const scrapedAt = Date.parse(job.scrapedAt) || Date.now();
+            increment(
+                postingAges,
+                Number.isFinite(postedAt)
+                    ? bandOf(POSTING_AGE_BANDS_DAYS, Math.max(0, Math.floor((scrapedAt - postedAt) / DAY_MS)))
+                    : 'Unknown',
+            );
+        },
+        build(run = {}) {
+            const medianSalary = median(annualSalaries);
+            return {
+                ...run,
+                generatedAt: new Date().toISOString(),
+                totalJobs: jobs,
+                uniqueCompanies: companies.size,
+                jobsWithDisclosedSalary: annualSalaries.length,
+                medianAnnualSalaryLakhs: medianSalary == null ? null : Math.round(medianSalary / 10000) / 10,
+                topCompanies: toRows(companies, jobs).slice(0, TOP_LIST_SIZE),
+                salaryDistribution: toRows(salaryBands, jobs, [
+                    ...SALARY_BANDS_LAKHS.map(([label]) => label),
+                    'Other currency',
+                    'Not disclosed',
+                ]),
+                experienceDistribution: toRows(experienceBands, jobs, [
+                    ...EXPERIENCE_BANDS_YEARS.map(([label]) => label),
+                    'Not specified',
+                ]),
+                jobsByCity: toRows(cities, jobs).slice(0, TOP_LIST_SIZE),
+                workModes: toRows(workModes, jobs, ['onsite', 'hybrid', 'remote', 'unknown']),
+                topSkills: toRows(skills, jobs).slice(0, TOP_LIST_SIZE),
+                postingAge: toRows(postingAges, jobs, [...POSTING_AGE_BANDS_DAYS.map(([label]) => label), 'Unknown']),
+            };
+        },
+    };
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const REPORT_SECTIONS = [
+    ['topCompanies', 'Top companies'],
+    ['jobsByCity', 'Jobs by city'],
+    ['salaryDistribution', 'Salary (annual, midpoint)'],
+    ['experienceDistribution', 'Experience required'],
+    ['workModes', 'Work mode'],
+    ['postingAge', 'Posting age'],
+    ['topSkills', 'Top skills'],
+];
+
+/**
+ * Self-contained HTML page of a `REPORT` record: inline styles, no scripts or external assets
+ */
+export function renderReportHtml(report) {
+    const section = ([key, title]) => {
+        const rows = report[key] || [];
+        const body = rows.length
+            ? rows
+                  .map(
+                      ({ label, count, share }) =>
+                          `<tr><td>${escapeHtml(label)}</td><td class="n">${count}</td>` +
+                          `<td class="bar"><span style="width:${Math.round(share * 100)}%"></span></td>` +
+                          `<td class="n">${(share * 100).toFixed(1)}%</td></tr>`,
+                  )
+                  .join('\n')
+            : '<tr><td colspan="4">No data</td></tr>';
+        return `<section><h2>${escapeHtml(title)}</h2><table>\n${body}\n</table></section>`;
+    };
+    const summary = [
+        ['Jobs', report.totalJobs],
+        ['Companies', report.uniqueCompanies],
+        ['Disclosed salaries', report.jobsWithDisclosedSalary],
+        ['Median salary', report.medianAnnualSalaryLakhs == null ? '-' : `${report.medianAnnualSalaryLakhs} Lakhs PA`],
+    ]
+        .map(([label, value]) => `<div><b>${escapeHtml(value)}</b>${escapeHtml(label)}</div>`)
+        .join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Naukri jobs report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+.summary { display: flex; gap: 1rem; flex-wrap: wrap; }
+.summary div { background: #f3f5f9; border-radius: 6px; padding: 0.75rem 1rem; min-width: 140px; }
+.summary b { display: block; font-size: 1.4rem; }
+table { border-collapse: collapse; width: 100%; }
+td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #eee; }
+td.n { text-align: right; white-space: nowrap; width: 4rem; }
+td.bar { width: 40%; }
+td.bar span { display: block; height: 0.8rem; background: #4a7bd0; border-radius: 2px; }
+</style>
+</head>
+<body>
+<h1>Naukri jobs report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}</p>
+<div class="summary">${summary}</div>
+${REPORT_SECTIONS.map(section).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,102 @@
+import { htmlToReadableText, sanitizeHtmlFragment } from './html.js';
+import { canonicalizeJobUrl, extractCompanyIdFromUrl, toAbsoluteNaukriUrl } from './identifiers.js';
+import { parseExperience, parseSalary } from './normalizers.js';
+
+/**
+ * Naukri's own job-search XHR ("/jobapi/v3/search?noOfResults=20&keyword=...")
+ * called by the results page while it renders
+ */
+export function isSearchApiUrl(url) {
+    try {
+        return /\/jobapi\/v\d+\/search\b/.test(new URL(url).pathname);
+    } catch {
+        return false;
+    }
+}
+function placeholderLabel(job, type) {
+    const placeholder = (job.placeholders || []).find((p) => p?.type === type);
+    return (placeholder?.label || '').trim();
+}
+function toNumberOrNull(value) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+/**
+ * Structured salary from `salaryDetail`, falling back to the placeholder text when hidden or empty
+ */
+function salaryFromApi(job, salaryText) {
+    const detail = job.salaryDetail || {};
+    const salaryMin = toNumberOrNull(detail.minimumSalary);
+    const salaryMax = toNumberOrNull(detail.maximumSalary);
+    if (detail.hideSalary || !salaryMax) return parseSalary(salaryText);
+    return {
+        salaryMin: salaryMin || null,
+        salaryMax,
+        salaryCurrency: detail.currency || 'INR',
+        salaryPeriod: 'YEAR',
+        isSalaryDisclosed: true,
+    };
+}
+function experienceFromApi(job, experienceText) {
+    const parsed = parseExperience(experienceText);
+    const min = toNumberOrNull(job.minimumExperience);
+    const max = toNumberOrNull(job.maximumExperience);
+    if (min == null) return parsed;
+    return { experienceMinYears: min, experienceMaxYears: max, isFresher: parsed.isFresher || min === 0 };
+}
+/**
+ * Map one `jobDetails` entry of the search API response to the dataset item shape
+ */
+export function mapSearchApiJob(job, scrapedAt = new Date().toISOString()) {
+    const url = toAbsoluteNaukriUrl(job.jdURL || job.jdUrl);
+    const companyLink = job.companyJobsUrl || job.staticUrl;
+    const companyUrl = companyLink ? canonicalizeJobUrl(toAbsoluteNaukriUrl(companyLink)) : '';
+    const salary = placeholderLabel(job, 'salary') || 'Not specified';
+    const experience = placeholderLabel(job, 'experience') || job.experienceText || 'Not specified';
+    const descriptionRaw = String(job.jobDescription || '');
+    const createdDate = toNumberOrNull(job.createdDate);
+    const rating = toNumberOrNull(job.ambitionBoxData?.AggregateRating);
+    return {
+        jobId: String(job.jobId || '').trim(),
+        title: (job.title || '').trim() || 'Unknown Title',
+        company: (job.companyName || '').trim(),
+        companyId: String(job.companyId || '').trim() || extractCompanyIdFromUrl(companyUrl),
+        companyUrl,
+        companyRating: rating || null,
+        companyReviewCount: toNumberOrNull(job.ambitionBoxData?.ReviewsCount),
+        location: placeholderLabel(job, 'location'),
+        salary,
+        ...salaryFromApi(job, salary),
+        experience,
+        ...experienceFromApi(job, experience),
+        jobType: 'Not specified',
+        // Epoch millis from the API are exact; the footer label ("3 Days Ago") is the fallback
+        postedDate: createdDate ? new Date(createdDate).toISOString() : (job.footerPlaceholderLabel || '').trim(),
+        tags: String(job.tagsAndSkills || '')
+            .split(',')
+            .map((tag) => tag.trim())
+            .filter(Boolean),
+        descriptionHtml: sanitizeHtmlFragment(descriptionRaw),
+        descriptionText: htmlToReadableText(descriptionRaw),
+        url,
+        scrapedAt,
+    };
+}
+/**
+ * Jobs from one or more captured search API response bodies, deduplicated by job ID
+ */
+export function extractJobsFromSearchApi(bodies) {
+    const jobs = [];
+    const seenIds = new Set();
+    for (const body of bodies) {
+        for (const job of body?.jobDetails || []) {
+            if (!job || (!job.jdURL && !job.jdUrl)) continue;
+            const mapped = mapSearchApiJob(job);
+            if (mapped.jobId && seenIds.has(mapped.jobId)) continue;
+            seenIds.add(mapped.jobId);
+            jobs.push(mapped);
+        }
+    }
+    return jobs;
+}
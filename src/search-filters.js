@@ -0,0 +1,109 @@
+// Naukri results page (SRP) filters: input key -> URL parameter, with the input values
+// that have a fixed Naukri code. Filters without `values` take Naukri's numeric IDs as
+// they appear in the URL after picking the filter on naukri.com.
+const LIST_FILTERS = [
+    {
+        key: 'workModes',
+        param: 'wfhType',
+        values: { office: '0', remote: '2', hybrid: '3' },
+    },
+    {
+        key: 'salaryBands',
+        param: 'ctcFilter',
+        values: {
+            '0-3': '0to3',
+            '3-6': '3to6',
+            '6-10': '6to10',
+            '10-15': '10to15',
+            '15-25': '15to25',
+            '25-50': '25to50',
+            '50-75': '50to75',
+            '75-100': '75to100',
+            '100+': '100to500',
+        },
+    },
+    { key: 'departments', param: 'functionAreaIdGid' },
+    { key: 'industries', param: 'industryTypeIdGid' },
+    { key: 'roleCategories', param: 'glbl_qcrc' },
+    { key: 'educationUg', param: 'ugTypeGid' },
+    { key: 'educationPg', param: 'pgTypeGid' },
+    {
+        key: 'companyTypes',
+        param: 'qbusinessSize',
+        values: { 'foreign-mnc': '211', 'indian-mnc': '213', corporate: '62', startup: '217' },
+    },
+    { key: 'topCompanies', param: 'qctopGroupId' },
+];
+const FRESHNESS_DAYS = [1, 3, 7, 15, 30];
+const SORT_PARAMS = { relevance: 'r', date: 'f' };
+
+const isUnset = (value) => value === undefined || value === null || value === '' || value === 'all' || value === 'any';
+
+/**
+ * Naukri URL parameters for the search filters in `input`. Unknown values throw, so a typo
+ * fails the run instead of silently searching without the filter.
+ */
+export function buildSearchFilterParams(input) {
+    const params = new URLSearchParams();
+    if (!isUnset(input.experience)) {
+        // Naukri filters on a single number of years - ranges ("3-5", "10+") use their lower bound
+        const years = String(input.experience).match(/^\s*(\d+)/);
+        if (!years)
+            throw new Error(`Invalid input: filter "experience" must be a number of years, got "${input.experience}"`);
+        params.append('experience', String(Number(years[1])));
+    }
+    if (!isUnset(input.freshness)) {
+        const days = Number(input.freshness);
+        if (!FRESHNESS_DAYS.includes(days)) {
+            throw new Error(`Invalid input: filter "freshness" must be one of ${FRESHNESS_DAYS.join(', ')} days`);
+        }
+        params.append('jobAge', String(days));
+    }
+    for (const { key, param, values } of LIST_FILTERS) {
+        for (const raw of input[key] || []) {
+            const value = String(raw).trim().toLowerCase();
+            if (!value) continue;
+            const code = values ? values[value] : value;
+            if (values ? !code : !/^\d+$/.test(code)) {
+                const allowed = values ? `one of ${Object.keys(values).join(', ')}` : 'a numeric Naukri ID';
+                throw new Error(`Invalid input: filter "${key}" values must be ${allowed}, got "${raw}"`);
+            }
+            params.append(param, code);
+        }
+    }
+    if (!isUnset(input.sortBy)) {
+        if (!SORT_PARAMS[input.sortBy]) {
+            throw new Error(`Invalid input: "sortBy" must be one of ${Object.keys(SORT_PARAMS).join(', ')}`);
+        }
+        // Relevance is Naukri's default order
+        if (input.sortBy !== 'relevance') params.append('sort', SORT_PARAMS[input.sortBy]);
+    }
+    return params;
+}
+
+/**
+ * Filters a search URL applies, keyed like the input, e.g. `{ freshness: 7, workModes: ['remote'] }`.
+ * Works for explicit `searchUrl`s too, since it reads the URL rather than the input.
+ */
+export function readSearchFilters(url) {
+    let searchParams;
+    try {
+        ({ searchParams } = new URL(url));
+    } catch {
+        return {};
+    }
+    const filters = {};
+    const experience = Number(searchParams.get('experience'));
+    if (searchParams.has('experience') && Number.isFinite(experience)) filters.experience = experience;
+    const jobAge = Number(searchParams.get('jobAge'));
+    if (searchParams.has('jobAge') && Number.isFinite(jobAge)) filters.freshness = jobAge;
+    for (const { key, param, values } of LIST_FILTERS) {
+        const codes = searchParams.getAll(param).flatMap((code) => code.split(','));
+        if (codes.length === 0) continue;
+        const names = values ? Object.fromEntries(Object.entries(values).map(([name, code]) => [code, name])) : {};
+        filters[key] = codes.map((code) => names[code] || code);
+    }
+    const sort = searchParams.get('sort');
+    if (sort) filters.sortBy = Object.keys(SORT_PARAMS).find((name) => SORT_PARAMS[name] === sort) || sort;
+    return filters;
+}
@@ -0,0 +1,170 @@
+import { log } from 'apify';
+
+import { slugify, splitLocations } from './locations.js';
+import { buildSearchFilterParams, readSearchFilters } from './search-filters.js';
+
+// Input keys of the Naukri URL filters, shared by every search unless a batch entry overrides them
+const SEARCH_FILTER_KEYS = [
+    'experience',
+    'freshness',
+    'workModes',
+    'salaryBands',
+    'departments',
+    'industries',
+    'roleCategories',
+    'educationUg',
+    'educationPg',
+    'companyTypes',
+    'topCompanies',
+    'sortBy',
+];
+
+// Symbols Naukri spells out in keyword slugs ("c++" -> "c-plus-plus", "c#" -> "c-sharp", ".net" -> "dot-net")
+const KEYWORD_SYMBOLS = [
+    [/\+/g, ' plus '],
+    [/#/g, ' sharp '],
+    [/&/g, ' and '],
+    [/(^|[^a-z0-9])\.(?=[a-z])/g, '$1 dot '],
+];
+
+/**
+ * Naukri URL slug of a search keyword
+ */
+export function slugifyKeyword(keyword) {
+    let text = String(keyword || '').toLowerCase();
+    for (const [pattern, replacement] of KEYWORD_SYMBOLS) text = text.replace(pattern, replacement);
+    return slugify(text);
+}
+/**
+ * Build Naukri search URL from input parameters
+ */
+export function buildSearchUrl(input) {
+    // If searchUrl is provided, use it directly
+    if (input.searchUrl && input.searchUrl.trim()) {
+        log.info('Using provided search URL directly');
+        return input.searchUrl.trim();
+    }
+    // Naukri URL formats:
+    // - Keyword only: https://www.naukri.com/{query}-jobs
+    // - Keyword + location: https://www.naukri.com/{query}-jobs-in-{location}
+    // - Several cities: https://www.naukri.com/{query}-jobs-in-{city1}-{city2}?k={query}&l={city1}, {city2}
+    const keyword = input.searchQuery?.trim() || 'sales';
+    const query = slugifyKeyword(keyword);
+    const cities = splitLocations(input.location);
+    let baseUrl = cities.length
+        ? `https://www.naukri.com/${query}-jobs-in-${cities.map((city) => city.slug).join('-')}`
+        : `https://www.naukri.com/${query}-jobs`;
+    const params = new URLSearchParams();
+    if (cities.length > 1) {
+        // Multi-word city slugs are ambiguous once joined, so the cities are passed by name as well
+        params.append('k', keyword);
+        params.append('l', cities.map((city) => city.name).join(', '));
+    }
+    for (const [key, value] of buildSearchFilterParams(input)) params.append(key, value);
+    const queryString = params.toString();
+    if (queryString) {
+        baseUrl += `?${queryString}`;
+    }
+    return baseUrl;
+}
+/**
+ * Build the list of searches for this run.
+ * Combines the explicit `searches` array and the cartesian product of `searchQueries` x `locations`.
+ * The single searchUrl/searchQuery input is used when neither is given.
+ * Each search gets its own id, URL and maxJobs budget.
+ */
+export function buildSearches(input, defaultMaxJobs) {
+    const shared = Object.fromEntries(SEARCH_FILTER_KEYS.map((key) => [key, input[key]]));
+    if (input.jobType && input.jobType !== 'all') {
+        log.warning(`Ignoring jobType "${input.jobType}" - Naukri results pages have no job type filter`);
+    }
+    const entries = [];
+    for (const entry of input.searches || []) {
+        if (typeof entry === 'string') entries.push({ searchUrl: entry });
+        else if (entry && typeof entry === 'object') entries.push(entry);
+    }
+    const queries = (input.searchQueries || []).map((q) => String(q).trim()).filter(Boolean);
+    const locations = (input.locations || []).map((l) => String(l).trim()).filter(Boolean);
+    for (const searchQuery of queries) {
+        if (locations.length === 0) {
+            entries.push({ searchQuery });
+            continue;
+        }
+        for (const location of locations) {
+            entries.push({ searchQuery, location });
+        }
+    }
+    // The single search is only used without batch input - the console always sends the
+    // default `searchQuery` and the prefilled `searchUrl`, even when the batch fields are filled
+    if (entries.length === 0 && (input.searchUrl?.trim() || input.searchQuery?.trim())) {
+        entries.push({
+            searchUrl: input.searchUrl,
+            searchQuery: input.searchQuery,
+            location: input.location,
+        });
+    }
+    // Several cities in one location run as one Naukri multi-city search, or one search per city
+    const separateCities = input.multiLocationMode === 'separate';
+    const expanded = entries.flatMap((entry) => {
+        if (entry.searchUrl?.trim()) return [entry];
+        const cities = splitLocations(entry.location);
+        if (separateCities && cities.length > 1) return cities.map((city) => ({ ...entry, location: city.name }));
+        return [{ ...entry, location: cities.map((city) => city.name).join(', ') }];
+    });
+    const searches = [];
+    const seenUrls = new Set();
+    for (const entry of expanded) {
+        if (!entry.searchUrl?.trim() && !entry.searchQuery?.trim()) continue;
+        const merged = { ...shared, ...entry };
+        const url = buildSearchUrl(merged);
+        if (seenUrls.has(url)) {
+            log.debug(`Skipping duplicate search: ${url}`);
+            continue;
+        }
+        seenUrls.add(url);
+        const maxJobs = entry.maxJobs ?? defaultMaxJobs;
+        if (!Number.isInteger(maxJobs) || maxJobs < 0 || maxJobs > 10000) {
+            throw new Error(`maxJobs must be between 0 and 10000 (search: ${url})`);
+        }
+        const label =
+            entry.label ||
+            (entry.searchUrl?.trim() ? url : [entry.searchQuery.trim(), entry.location].filter(Boolean).join(' @ '));
+        searches.push({
+            id: `search-${searches.length + 1}`,
+            label,
+            url,
+            maxJobs,
+            searchQuery: entry.searchQuery || '',
+            location: entry.location || '',
+            filters: readSearchFilters(url),
+        });
+    }
+    return searches;
+}
+/**
+ * Results page number from `?pageNo=` or a `-2` style path suffix
+ */
+export function getPageNumberFromUrl(url) {
+    const parsedUrl = new URL(url);
+    const urlParams = parsedUrl.searchParams;
+    let currentPageNo = parseInt(urlParams.get('pageNo') || '1', 10);
+    if (!Number.isFinite(currentPageNo) || currentPageNo < 1) currentPageNo = 1;
+    if (!urlParams.get('pageNo')) {
+        const pathPageMatch = parsedUrl.pathname.replace(/\/$/, '').match(/-(\d+)$/);
+        if (pathPageMatch) {
+            const n = parseInt(pathPageMatch[1], 10);
+            if (Number.isFinite(n) && n >= 1) currentPageNo = n;
+        }
+    }
+    return currentPageNo;
+}
+/**
+ * `-2` style URL of a results page, used when the page has no "Next" link
+ */
+export function buildPageUrl(url, pageNo) {
+    const u = new URL(url);
+    u.searchParams.delete('pageNo');
+    const basePath = u.pathname.replace(/\/$/, '').replace(/-(\d+)$/, '');
+    u.pathname = `${basePath}-${pageNo}`;
+    return u.toString();
+}
@@ -0,0 +1,175 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Version of the selector config format. Overrides must declare the same version,
+ * so a config written for an older layout of this file is rejected instead of half-applied.
+ */
+export const SELECTOR_CONFIG_VERSION = 1;
+
+/**
+ * Built-in selectors. Each field is a list tried in order - the first selector that yields
+ * a value wins, except for list fields (`skills`, `keySkills`), which collect every match.
+ */
+export const DEFAULT_SELECTOR_CONFIG = {
+    version: SELECTOR_CONFIG_VERSION,
+    searchPage: {
+        // Job card containers, most specific first
+        card: [
+            'article.jobTuple',
+            'div.srp-tuple',
+            'div.jobCard',
+            'article[data-job-id]',
+            'div[class*="tuple"]',
+            'article[class*="tuple"]',
+        ],
+        // Wrappers searched for cards when no card selector matches the page
+        cardContainer: ['article[class*="job"]', 'div[class*="jobTuple"]', 'div[class*="srp"]', 'article.row'],
+        // Links to job detail pages, used when no card can be found at all
+        jobLink: ['a[href*="job-listings"]', 'a[href^="/job-listings"]'],
+        title: [
+            'a[href*="job-listings"]',
+            'a[href^="/job-listings"]',
+            'a.title, .title a',
+            'a.subtitle, .subtitle a',
+            'a[class*="title"]',
+            'h2 a, h3 a',
+            '.row1 a',
+        ],
+        url: [
+            'a[href*="job-listings"]',
+            'a[href^="/job-listings"]',
+            'a.title',
+            'a.subtitle',
+            'a[class*="title"]',
+            'h2 a, h3 a',
+            '.row1 a',
+        ],
+        company: [
+            '.comp-name, .companyInfo',
+            'a.comp-name',
+            '.company-name',
+            'a[class*="company"]',
+            '.row2 a',
+            'span[class*="comp"]',
+            'a[href*="company"]',
+        ],
+        companyLink: ['a.comp-name', 'a[class*="comp-name"]', 'a[href*="-jobs-careers-"]', 'a[href*="-overview-"]'],
+        location: [
+            '.loc-wrap .location, .location',
+            '.locWdth',
+            'span[class*="location"]',
+            '.row3 .location',
+            '[class*="loc"]',
+        ],
+        experience: ['.exp-wrap .exp, .experience', 'span[class*="exp"]', '.row4 .exp'],
+        salary: ['.sal-wrap .salary, .salary', 'span[class*="sal"]', '.row5 .salary'],
+        description: ['.job-desc', '.desc', '.job-description', '.snippet'],
+        postedDate: ['.job-post-day, .date', 'span[class*="date"]', 'span[class*="posted"]', '.postedDate'],
+        // Skill tags under the card
+        skills: ['ul.tags-gt li', 'ul[class*="tags"] li', '.tag-li'],
+        // "Next" pagination link - must have the text "Next"
+        nextPage: ['a.styles_btn-secondary__2AsIP', 'a[class*="btn-secondary"]'],
+        // Elements that show the client-rendered results are ready to parse
+        resultsReady: [
+            'a[href*="job-listings"]',
+            'a[href^="/job-listings"]',
+            'div[class*="tuple"] a[href]',
+            'article[class*="tuple"] a[href]',
+        ],
+    },
+    detailPage: {
+        description: [
+            'div[class*="JDC__dang-inner-html"]',
+            'div[class*="dang-inner-html"]',
+            '[itemprop="description"]',
+            'section[class*="jobDesc"]',
+            '.jd-desc',
+            '.job-description',
+            '#jobDescriptionText',
+        ],
+        keySkills: ['[class*="key-skill"] a', '[class*="key-skill"] [class*="chip"]'],
+        companyLink: ['a[href*="-overview-"]', 'a[href*="-jobs-careers-"]'],
+    },
+};
+
+function validateSelectorList(value, path) {
+    if (!Array.isArray(value) || value.length === 0) return [`${path} must be a non-empty array of CSS selectors`];
+    const $ = cheerio.load('');
+    const errors = [];
+    value.forEach((selector, i) => {
+        if (typeof selector !== 'string' || !selector.trim()) {
+            errors.push(`${path}[${i}] must be a non-empty string`);
+            return;
+        }
+        try {
+            $(selector);
+        } catch (error) {
+            errors.push(`${path}[${i}] "${selector}" is not a valid selector: ${error.message}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validate a full or partial selector config against the shape of DEFAULT_SELECTOR_CONFIG.
+ * Throws one error listing every problem, prefixed with `source` (e.g. "input.selectorConfig").
+ */
+export function validateSelectorConfig(config, source = 'selector config') {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid ${source}: must be an object`);
+    }
+    if (config.version !== SELECTOR_CONFIG_VERSION) {
+        errors.push(`version must be ${SELECTOR_CONFIG_VERSION} (got ${JSON.stringify(config.version)})`);
+    }
+    for (const [section, fields] of Object.entries(config)) {
+        if (section === 'version' || section === 'revision') continue;
+        const defaults = DEFAULT_SELECTOR_CONFIG[section];
+        if (!defaults || typeof defaults !== 'object') {
+            errors.push(`unknown section "${section}"`);
+            continue;
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            errors.push(`${section} must be an object`);
+            continue;
+        }
+        for (const [field, selectors] of Object.entries(fields)) {
+            if (!defaults[field]) {
+                errors.push(`unknown field "${section}.${field}"`);
+                continue;
+            }
+            errors.push(...validateSelectorList(selectors, `${section}.${field}`));
+        }
+    }
+    if (config.revision != null && typeof config.revision !== 'string') errors.push('revision must be a string');
+    if (errors.length > 0) throw new Error(`Invalid ${source}: ${errors.join('; ')}`);
+    return config;
+}
+
+/**
+ * Apply validated overrides on top of the defaults, field by field.
+ * Later overrides win. Returns the config plus where each override came from.
+ */
+export function resolveSelectorConfig(overrides = []) {
+    const config = {
+        version: SELECTOR_CONFIG_VERSION,
+        searchPage: { ...DEFAULT_SELECTOR_CONFIG.searchPage },
+        detailPage: { ...DEFAULT_SELECTOR_CONFIG.detailPage },
+    };
+    const sources = ['default'];
+    const overriddenFields = [];
+    let revision = null;
+    for (const { source, config: override } of overrides) {
+        if (!override) continue;
+        validateSelectorConfig(override, source);
+        for (const section of ['searchPage', 'detailPage']) {
+            for (const [field, selectors] of Object.entries(override[section] || {})) {
+                config[section][field] = selectors.map((selector) => selector.trim());
+                overriddenFields.push(`${section}.${field}`);
+            }
+        }
+        revision = override.revision ?? revision;
+        sources.push(source);
+    }
+    return { config, revision, sources, overriddenFields: [...new Set(overriddenFields)] };
+}
@@ -0,0 +1,60 @@
+// Fields whose fill rate is tracked on saved jobs, with the placeholder values extractors use when nothing matched
+const FILL_RATE_FIELDS = {
+    title: (job) => job.title && job.title !== 'Unknown Title',
+    company: (job) => job.company,
+    location: (job) => job.location,
+    salary: (job) => job.salary && job.salary !== 'Not specified',
+    description: (job) => job.descriptionText,
+};
+// Fill rates from fewer jobs than this are too noisy to judge a layout change
+const MIN_FILL_RATE_SAMPLE = 10;
+
+/**
+ * Per-run selector telemetry: which selector matched each field and how often
+ * saved jobs have each field filled. Naukri's hashed class names change without
+ * notice, so low fill rates are the first sign of a layout break.
+ */
+export function createSelectorHealth() {
+    const selectors = {};
+    const filled = Object.fromEntries(Object.keys(FILL_RATE_FIELDS).map((field) => [field, 0]));
+    let jobsChecked = 0;
+    return {
+        recordMatch(field, selector) {
+            selectors[field] ??= {};
+            selectors[field][selector] = (selectors[field][selector] || 0) + 1;
+        },
+        recordJobs(jobs) {
+            for (const job of jobs) {
+                jobsChecked++;
+                for (const [field, isFilled] of Object.entries(FILL_RATE_FIELDS)) {
+                    if (isFilled(job)) filled[field]++;
+                }
+            }
+        },
+        /**
+         * Summary stored in `statistics.selectorHealth`. Status is `degraded` when a field's
+         * fill rate is below `minFillRate` (0-1) and `insufficientData` for small samples.
+         */
+        summarize({ minFillRate = 0 } = {}) {
+            const fillRates = Object.fromEntries(
+                Object.entries(filled).map(([field, count]) => [
+                    field,
+                    jobsChecked > 0 ? Math.round((count / jobsChecked) * 1000) / 1000 : null,
+                ]),
+            );
+            const lowFillRateFields =
+                jobsChecked > 0 ? Object.keys(fillRates).filter((field) => fillRates[field] < minFillRate) : [];
+            let status = 'ok';
+            if (jobsChecked < MIN_FILL_RATE_SAMPLE) status = 'insufficientData';
+            else if (lowFillRateFields.length > 0) status = 'degraded';
+            return {
+                status,
+                minFillRate,
+                jobsChecked,
+                fillRates,
+                lowFillRateFields,
+                selectors,
+            };
+        },
+    };
+}
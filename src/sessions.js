@@ -0,0 +1,51 @@
+// Sessions are reused across runs for this long - about as long as a Cloudflare clearance lasts
+export const SESSION_MAX_AGE_SECS = 12 * 60 * 60;
+
+/**
+ * Per-session request outcomes for `statistics.sessions`. A session is one Crawlee
+ * SessionPool identity: its cookies, saved storage state and proxy session.
+ */
+export function createSessionStats() {
+    const bySession = {};
+    const entry = (sessionId) => {
+        bySession[sessionId] ??= { successes: 0, blocks: 0, challengesSolved: 0, retired: false };
+        return bySession[sessionId];
+    };
+    return {
+        recordSuccess(sessionId) {
+            entry(sessionId).successes++;
+        },
+        recordChallengeSolved(sessionId) {
+            entry(sessionId).challengesSolved++;
+        },
+        recordBlock(sessionId, { retired = false } = {}) {
+            const stats = entry(sessionId);
+            stats.blocks++;
+            if (retired) stats.retired = true;
+        },
+        summarize() {
+            const all = Object.values(bySession);
+            const total = (key) => all.reduce((sum, stats) => sum + stats[key], 0);
+            return {
+                sessionsUsed: all.length,
+                sessionsRetired: all.filter((stats) => stats.retired).length,
+                successes: total('successes'),
+                blocks: total('blocks'),
+                challengesSolved: total('challengesSolved'),
+                bySession,
+            };
+        },
+    };
+}
+
+/**
+ * Error for a page that is still blocked after the challenge loop. Handlers that catch their
+ * own errors must rethrow it, so the crawler marks the session bad and retries the page.
+ */
+export function createBlockedPageError(url) {
+    const error = new Error(`Blocked search page: ${url}`);
+    error.isBlockedPage = true;
+    return error;
+}
+
+export const isBlockedPageError = (error) => error?.isBlockedPage === true;
@@ -0,0 +1,97 @@
+export const SKILL_FREQUENCIES_KEY = 'SKILL_FREQUENCIES';
+
+// Canonical skill names and the variants Naukri recruiters write for them
+const SKILL_SYNONYMS = {
+    JavaScript: ['js', 'java script', 'ecmascript', 'es6'],
+    TypeScript: ['ts'],
+    'Node.js': ['node', 'nodejs', 'node js'],
+    React: ['reactjs', 'react.js', 'react js'],
+    Angular: ['angularjs', 'angular.js', 'angular js'],
+    'Vue.js': ['vue', 'vuejs', 'vue js'],
+    HTML: ['html5'],
+    CSS: ['css3'],
+    'C++': ['cpp', 'c plus plus'],
+    'C#': ['c sharp', 'csharp'],
+    '.NET': ['dotnet', 'dot net', '.net framework', '.net core'],
+    'ASP.NET': ['asp dot net', 'asp.net mvc'],
+    PostgreSQL: ['postgres', 'postgre sql', 'postgre'],
+    MySQL: ['my sql'],
+    MongoDB: ['mongo', 'mongo db'],
+    AWS: ['amazon web services'],
+    GCP: ['google cloud', 'google cloud platform'],
+    Azure: ['microsoft azure', 'ms azure'],
+    Kubernetes: ['k8s'],
+    'Machine Learning': ['ml'],
+    'Artificial Intelligence': ['ai'],
+    'Natural Language Processing': ['nlp'],
+    'Power BI': ['powerbi', 'ms power bi', 'microsoft power bi'],
+    'MS Excel': ['excel', 'microsoft excel', 'ms-excel', 'msexcel'],
+    'MS Word': ['microsoft word', 'ms-word'],
+    'MS PowerPoint': ['powerpoint', 'microsoft powerpoint', 'ms ppt', 'ppt'],
+    'MS Office': ['microsoft office', 'ms-office', 'msoffice'],
+    Salesforce: ['sfdc', 'salesforce crm'],
+    Tally: ['tally erp', 'tally erp 9', 'tally prime'],
+    'B2B Sales': ['b2b', 'b2b selling'],
+    'B2C Sales': ['b2c', 'b2c selling'],
+    'Business Development': ['bd', 'biz dev', 'business developement'],
+    SEO: ['search engine optimization', 'search engine optimisation'],
+    SEM: ['search engine marketing'],
+    'Social Media Marketing': ['smm'],
+    'Communication Skills': [
+        'communication',
+        'good communication skills',
+        'excellent communication skills',
+        'verbal communication',
+        'written communication',
+    ],
+};
+
+const toSkillKey = (value) => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const CANONICAL_BY_KEY = new Map(
+    Object.entries(SKILL_SYNONYMS).flatMap(([canonical, variants]) =>
+        [canonical, ...variants].map((variant) => [toSkillKey(variant), canonical]),
+    ),
+);
+
+/**
+ * Canonical name of a skill ("ms excel" -> "MS Excel", "JS" -> "JavaScript").
+ * Skills without a synonym keep their text, trimmed.
+ */
+export function normalizeSkill(skill) {
+    const text = String(skill ?? '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,;.•-]+|[\s,;•-]+$/g, '')
+        .trim();
+    if (!text) return '';
+    return CANONICAL_BY_KEY.get(toSkillKey(text)) || text;
+}
+
+/**
+ * Deduplicated canonical skills from several sources - arrays or comma-separated text
+ * (card tags, JSON-LD `skills`, detail page Key Skills). The first spelling of an unknown skill wins.
+ */
+export function mergeSkills(...sources) {
+    const skills = new Map();
+    for (const source of sources) {
+        const items = Array.isArray(source) ? source : String(source || '').split(/[,;|]/);
+        for (const item of items) {
+            const skill = normalizeSkill(item);
+            const key = toSkillKey(skill);
+            if (skill && !skills.has(key)) skills.set(key, skill);
+        }
+    }
+    return [...skills.values()];
+}
+
+/**
+ * Skill frequency record for the run: how many saved jobs list each skill, most common first
+ */
+export function summarizeSkillCounts({ jobs, counts }) {
+    return {
+        jobsWithSkills: jobs,
+        skills: Object.entries(counts)
+            .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+            .map(([skill, count]) => ({ skill, count, share: jobs ? Math.round((count / jobs) * 1000) / 1000 : 0 })),
+    };
+}
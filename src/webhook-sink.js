@@ -0,0 +1,150 @@
+import { createHash, createHmac } from 'node:crypto';
+
+import { log } from 'apify';
+
+import { getJobDedupKey } from './identifiers.js';
+
+// Backoff and Retry-After waits are capped so one batch cannot stall the deliveries behind it
+const MAX_RETRY_DELAY_MS = 60000;
+
+const sleep = (ms) =>
+    new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * `sha256=<hex>` HMAC of the raw request body, sent as `X-Signature-256`
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Batch ID derived from the jobs it carries, so a batch re-sent after a restart
+ * keeps its ID and receivers can deduplicate on it
+ */
+export function getBatchId(jobs, searchId = '') {
+    const keys = jobs.map((job) => getJobDedupKey(job) || job.url || '');
+    return createHash('sha256')
+        .update([searchId, ...keys].join('\n'))
+        .digest('hex')
+        .slice(0, 24);
+}
+
+/**
+ * HTTP sink that POSTs each batch of saved jobs as JSON. Network errors, timeouts, 408, 429
+ * and 5xx responses are retried with exponential backoff (or the receiver's Retry-After);
+ * batches that still fail are handed to `onDeadLetter`.
+ *
+ * `enqueue` delivers in the background, one batch at a time, so a slow receiver does not hold
+ * up the crawler. Queued batches are kept in `pending` until delivered - pass a persisted array
+ * and batches left there by an interrupted run are delivered first.
+ */
+export function createWebhookSink({
+    url,
+    headers = {},
+    secret = '',
+    maxRetries = 3,
+    timeoutMs = 30000,
+    baseDelayMs = 1000,
+    maxDelayMs = MAX_RETRY_DELAY_MS,
+    runId = null,
+    pending = [],
+    onDeadLetter = async () => {},
+}) {
+    const stats = { batchesDelivered: 0, jobsDelivered: 0, batchesFailed: 0, retries: 0 };
+    const post = async (body, batchId, attempt) =>
+        fetch(url, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json',
+                'Idempotency-Key': batchId,
+                'X-Delivery-Attempt': String(attempt),
+                ...(secret ? { 'X-Signature-256': signPayload(body, secret) } : {}),
+            },
+            body,
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+    /**
+     * Deliver one batch. Resolves to false when the batch went to the dead letters.
+     */
+    const deliver = async (jobs, { searchId = null } = {}) => {
+        if (jobs.length === 0) return true;
+        const batchId = getBatchId(jobs, searchId || '');
+        const body = JSON.stringify({ batchId, runId, searchId, sentAt: new Date().toISOString(), jobs });
+        let lastError = '';
+        let retryDelayMs = baseDelayMs;
+        let attempts = 0;
+        while (attempts <= maxRetries) {
+            if (attempts > 0) {
+                stats.retries++;
+                await sleep(retryDelayMs);
+                retryDelayMs = Math.min(baseDelayMs * 2 ** attempts, maxDelayMs);
+            }
+            attempts++;
+            try {
+                const response = await post(body, batchId, attempts);
+                if (response.ok) {
+                    stats.batchesDelivered++;
+                    stats.jobsDelivered += jobs.length;
+                    return true;
+                }
+                lastError = `HTTP ${response.status}`;
+                if (!isRetryableStatus(response.status)) break;
+                const retryAfterSecs = Number(response.headers.get('retry-after'));
+                if (Number.isFinite(retryAfterSecs) && retryAfterSecs > 0) {
+                    retryDelayMs = Math.min(retryAfterSecs * 1000, maxDelayMs);
+                }
+            } catch (error) {
+                lastError = error.message;
+            }
+        }
+        stats.batchesFailed++;
+        log.warning(`Webhook delivery of batch ${batchId} (${jobs.length} jobs) failed: ${lastError}`);
+        await onDeadLetter({
+            batchId,
+            attempts,
+            error: lastError,
+            failedAt: new Date().toISOString(),
+            payload: JSON.parse(body),
+        });
+        return false;
+    };
+    let queue = Promise.resolve();
+    const schedule = (batch) => {
+        queue = queue.then(async () => {
+            try {
+                await deliver(batch.jobs, { searchId: batch.searchId });
+            } catch (error) {
+                log.warning(`Webhook delivery failed: ${error.message}`);
+            }
+            pending.splice(pending.indexOf(batch), 1);
+        });
+    };
+    for (const batch of pending) schedule(batch);
+    return {
+        deliver,
+        /**
+         * Queue one batch for background delivery
+         */
+        enqueue(jobs, { searchId = null } = {}) {
+            if (jobs.length === 0) return;
+            const batch = { jobs, searchId };
+            pending.push(batch);
+            schedule(batch);
+        },
+        /**
+         * Resolves once every queued batch was delivered or dead-lettered
+         */
+        async flush() {
+            await queue;
+        },
+        summarize() {
+            // The URL is left out - it may carry an access token
+            return { ...stats };
+        },
+    };
+}
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createCrawlState, resumeCrawlState } from '../src/crawl-state.js';
+
+const SEARCHES = [{ id: 'search-1' }, { id: 'search-2' }];
+
+describe('createCrawlState', () => {
+    it('starts every search with an empty budget and stays plain JSON', () => {
+        const state = createCrawlState(SEARCHES, '2024-10-01T00:00:00.000Z');
+        assert.deepEqual(state.searchStates, {
+            'search-1': { jobsScraped: 0, pagesProcessed: 0 },
+            'search-2': { jobsScraped: 0, pagesProcessed: 0 },
+        });
+        assert.deepEqual(JSON.parse(JSON.stringify(state)), state);
+    });
+});
+
+describe('resumeCrawlState', () => {
+    it('releases job keys claimed by interrupted pages and keeps completed work', () => {
+        const state = {
+            ...createCrawlState(SEARCHES),
+            totalJobsScraped: 20,
+            seenJobKeys: { 'id:1': true, 'id:2': true, 'id:3': true },
+            pagesInProgress: { 'search-1-page-2': ['id:2', 'id:3'] },
+            completedRequests: { 'search-1-page-1': true },
+            crawlPhase: 'browserFallback',
+        };
+        const resumed = resumeCrawlState(state, [...SEARCHES, { id: 'search-3' }]);
+        assert.deepEqual(resumed.seenJobKeys, { 'id:1': true });
+        assert.deepEqual(resumed.pagesInProgress, {});
+        assert.deepEqual(resumed.completedRequests, { 'search-1-page-1': true });
+        assert.equal(resumed.totalJobsScraped, 20);
+        assert.equal(resumed.restarts, 1);
+        // A run restarted during the browser fallback does not go back to the HTTP crawler
+        assert.equal(resumed.crawlPhase, 'browserFallback');
+        assert.deepEqual(resumed.searchStates['search-3'], { jobsScraped: 0, pagesProcessed: 0 });
+        // The saved state is left as it was
+        assert.equal(Object.keys(state.seenJobKeys).length, 3);
+    });
+});
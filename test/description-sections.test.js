@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { classifySectionHeading, segmentDescription } from '../src/description-sections.js';
+import { parseJobDetailPage } from '../src/extractors.js';
+import { loadFixture } from './helpers.js';
+
+describe('classifySectionHeading', () => {
+    it('maps Naukri heading variants to canonical keys', () => {
+        assert.equal(classifySectionHeading('Roles and Responsibilities'), 'responsibilities');
+        assert.equal(classifySectionHeading('Desired Candidate Profile'), 'requirements');
+        assert.equal(classifySectionHeading('Preferred Qualifications:'), 'preferredSkills');
+        assert.equal(classifySectionHeading('Perks and Benefits'), 'benefits');
+        assert.equal(classifySectionHeading('About Us'), 'about');
+        assert.equal(classifySectionHeading('About the Role'), 'summary');
+        assert.equal(classifySectionHeading('Location'), null);
+    });
+});
+
+describe('segmentDescription', () => {
+    it('splits headings, bold labels, plain-text headings and list blocks into sections', () => {
+        assert.deepEqual(segmentDescription(loadFixture('description-sections.html')), {
+            summary: ['Acme Retail is hiring Area Sales Managers for its Mumbai region.'],
+            responsibilities: [
+                'Drive secondary sales across 40+ distributors',
+                'Recruit and coach a team of field sales officers',
+            ],
+            requirements: [
+                'Graduate with 5-8 years of FMCG sales experience',
+                'Excellent communication skills',
+                'MBA in Sales/Marketing',
+            ],
+            preferredSkills: ['Exposure to modern trade', 'Working knowledge of Salesforce'],
+            benefits: ['Monthly incentives, health insurance and a travel allowance.'],
+            other: ['Location: Andheri East'],
+        });
+    });
+
+    it('keeps descriptions without headings as the summary', () => {
+        const { descriptionHtml } = parseJobDetailPage(loadFixture('detail-page.html'));
+        assert.deepEqual(segmentDescription(descriptionHtml), {
+            summary: [
+                'Achieve monthly sales targets across the western suburbs.',
+                'Manage key retail accounts and build new distributor relationships.',
+                'Candidates with FMCG experience will be preferred.',
+            ],
+        });
+        assert.deepEqual(segmentDescription('Requirements:\n- Hindi\n- Two-wheeler'), {
+            requirements: ['Hindi', 'Two-wheeler'],
+        });
+        assert.deepEqual(segmentDescription(''), {});
+    });
+});
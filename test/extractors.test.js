@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import {
+    extractJobsFromHtml,
+    extractJobsFromJsonLdScripts,
+    extractStateJobFromHtml,
+    findNextPageLink,
+    parseCompanyProfile,
+    parseJobDetailPage,
+} from '../src/extractors.js';
+import { loadFixture, loadJsonFixture } from './helpers.js';
+
+describe('extractJobsFromHtml', () => {
+    const jobs = extractJobsFromHtml(loadFixture('search-page.html'));
+
+    it('extracts each job card once, ignoring tracking-only duplicates', () => {
+        assert.deepEqual(
+            jobs.map((job) => job.jobId),
+            ['061024500123', '071024500456', '081024500789'],
+        );
+    });
+
+    it('reads card fields and structured salary/experience', () => {
+        const [job] = jobs;
+        assert.equal(job.title, 'Sales Executive');
+        assert.equal(job.company, 'Acme Retail');
+        assert.equal(job.companyId, '123456');
+        assert.equal(job.companyUrl, 'https://www.naukri.com/acme-retail-jobs-careers-123456');
+        assert.equal(job.location, 'Mumbai, Navi Mumbai');
+        assert.equal(job.experience, '1-3 Yrs');
+        assert.equal(job.experienceMinYears, 1);
+        assert.equal(job.experienceMaxYears, 3);
+        assert.equal(job.salary, '3-5 Lacs PA');
+        assert.equal(job.salaryMin, 300000);
+        assert.equal(job.salaryMax, 500000);
+        assert.equal(job.postedDate, '3 Days Ago');
+        assert.deepEqual(job.skills, ['Sales', 'B2B Sales', 'MS Excel']);
+        assert.match(job.descriptionText, /monthly sales targets/);
+        assert.match(job.url, /^https:\/\/www\.naukri\.com\/job-listings-sales-executive-/);
+    });
+
+    it('handles undisclosed salaries, fresher roles and relative links', () => {
+        const [, telesales, manager] = jobs;
+        assert.equal(telesales.isSalaryDisclosed, false);
+        assert.equal(telesales.salaryMin, null);
+        assert.equal(telesales.isFresher, true);
+        assert.equal(telesales.companyUrl, '');
+        assert.equal(
+            manager.url,
+            'https://www.naukri.com/job-listings-regional-sales-manager-globex-mumbai-bengaluru-10-to-15-years-081024500789',
+        );
+        assert.equal(manager.companyId, '987654');
+        assert.equal(manager.salaryMax, 4000000);
+    });
+
+    it('falls back to job listing links when no cards match', () => {
+        const linked = extractJobsFromHtml(loadFixture('search-page-links-only.html'));
+        assert.deepEqual(
+            linked.map((job) => [job.jobId, job.title]),
+            [
+                ['091024501111', 'Data Analyst'],
+                ['091024502222', 'Senior Data Analyst'],
+            ],
+        );
+    });
+
+    it('returns nothing for a challenge page', () => {
+        assert.deepEqual(extractJobsFromHtml(loadFixture('challenge-page.html')), []);
+    });
+});
+
+describe('extractJobsFromJsonLdScripts', () => {
+    const jobs = extractJobsFromJsonLdScripts([loadFixture('search-jsonld.json')]);
+
+    it('reads JobPostings from an ItemList', () => {
+        assert.equal(jobs.length, 2);
+        assert.equal(jobs[0].title, 'Inside Sales Specialist');
+        assert.equal(jobs[0].company, 'Umbrella Corp');
+        assert.equal(jobs[0].location, 'Pune, Maharashtra, IN');
+    });
+
+    it('takes the job ID from identifier, then from the URL', () => {
+        assert.equal(jobs[0].jobId, '101024503333');
+        assert.equal(jobs[1].jobId, '101024504444');
+    });
+
+    it('normalizes baseSalary and experienceRequirements', () => {
+        assert.equal(jobs[0].salaryMin, 500000);
+        assert.equal(jobs[0].salaryMax, 800000);
+        assert.equal(jobs[0].salaryCurrency, 'INR');
+        assert.equal(jobs[0].experienceMinYears, 3);
+    });
+
+    it('skips invalid JSON blocks', () => {
+        assert.deepEqual(extractJobsFromJsonLdScripts(['{ not json']), []);
+    });
+});
+
+describe('parseJobDetailPage', () => {
+    it('reads the description and structured details from the DOM and JSON-LD', () => {
+        const detail = parseJobDetailPage(loadFixture('detail-page.html'));
+        assert.match(detail.descriptionText, /Achieve monthly sales targets/);
+        assert.match(detail.descriptionHtml, /^<p><strong>Job Description<\/strong><\/p>/);
+        assert.deepEqual(detail.keySkills, ['Sales', 'B2B Sales', 'MS Excel']);
+        assert.equal(detail.role, 'Sales Executive / Officer');
+        assert.equal(detail.roleCategory, 'Retail & B2C Sales');
+        assert.equal(detail.industryType, 'Retail');
+        assert.equal(detail.department, 'Sales & Business Development');
+        assert.equal(detail.employmentType, 'FULL_TIME');
+        assert.equal(detail.educationUG, 'Any Graduate');
+        assert.equal(detail.educationPG, 'MBA/PGDM in Marketing');
+        assert.equal(detail.openings, 4);
+        assert.equal(detail.applicants, 100);
+        assert.equal(detail.companyUrl, 'https://www.naukri.com/acme-retail-overview-123456');
+    });
+
+    it('prefers window state over JSON-LD and the DOM', () => {
+        const detail = parseJobDetailPage(loadFixture('detail-page.html'), {
+            stateJob: loadJsonFixture('detail-next-data.json'),
+        });
+        assert.equal(detail.descriptionText, 'Window state description with bold text.');
+        assert.deepEqual(detail.keySkills, ['Field Sales', 'Negotiation']);
+        assert.equal(detail.role, 'Area Sales Manager');
+        assert.equal(detail.industryType, 'FMCG');
+        assert.equal(detail.educationUG, 'B.Com in Commerce, BBA/ BMS in Any Specialization');
+        assert.equal(detail.educationPG, 'MBA/PGDM in Marketing');
+        assert.equal(detail.applicants, 1250);
+        assert.equal(detail.companyId, '123456');
+    });
+
+    it('converts the epoch-millisecond createdDate of window state to an ISO date', () => {
+        const detail = parseJobDetailPage(loadFixture('detail-page.html'), { stateJob: { createdDate: 1728000000000 } });
+        assert.equal(detail.postedDate, '2024-10-04T00:00:00.000Z');
+        const fromText = parseJobDetailPage(loadFixture('detail-page.html'), { stateJob: { createdDate: '1728000000000' } });
+        assert.equal(fromText.postedDate, '2024-10-04T00:00:00.000Z');
+    });
+
+    it('flags challenge pages as blocked', () => {
+        assert.deepEqual(parseJobDetailPage(loadFixture('challenge-page.html')), { blocked: true });
+    });
+
+    it('returns null for not-found pages', () => {
+        assert.equal(parseJobDetailPage(loadFixture('not-found-page.html')), null);
+    });
+});
+
+describe('extractStateJobFromHtml', () => {
+    it('reads the job from the __NEXT_DATA__ script of a raw HTML page', () => {
+        const stateJob = loadJsonFixture('detail-next-data.json');
+        const html = `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify({
+            props: { pageProps: { job: stateJob } },
+        })}</script></body></html>`;
+        assert.deepEqual(extractStateJobFromHtml(html), stateJob);
+    });
+
+    it('returns null without a parsable state script', () => {
+        assert.equal(extractStateJobFromHtml(loadFixture('detail-page.html')), null);
+        assert.equal(extractStateJobFromHtml('<script id="__NEXT_DATA__">{broken</script>'), null);
+    });
+});
+
+describe('findNextPageLink', () => {
+    it('resolves the first "Next" link against the page URL', () => {
+        const $ = cheerio.load(loadFixture('search-page.html'));
+        assert.deepEqual(
+            findNextPageLink($, ['a.missing', 'a[class*="btn-secondary"]'], 'https://www.naukri.com/sales-jobs-in-mumbai'),
+            { href: 'https://www.naukri.com/sales-jobs-in-mumbai-2', selector: 'a[class*="btn-secondary"]' },
+        );
+    });
+
+    it('returns null when no link reads "Next"', () => {
+        const $ = cheerio.load('<a class="btn-secondary" href="/x-1">Previous</a>');
+        assert.equal(findNextPageLink($, ['a.btn-secondary'], 'https://www.naukri.com/'), null);
+    });
+});
+
+describe('parseCompanyProfile', () => {
+    it('combines JSON-LD Organization data with labelled DOM rows', () => {
+        const $ = cheerio.load(loadFixture('company-page.html'));
+        const profile = parseCompanyProfile($, 'https://www.naukri.com/acme-retail-overview-123456', '123456');
+        assert.equal(profile.name, 'Acme Retail');
+        assert.equal(profile.rating, 4.1);
+        assert.equal(profile.reviewCount, 1234);
+        assert.equal(profile.companySize, '1001-5000 Employees');
+        assert.equal(profile.industry, 'Retail');
+        assert.equal(profile.headquarters, 'Mumbai, Maharashtra');
+        assert.equal(profile.founded, '2005');
+        assert.equal(profile.website, 'https://www.acmeretail.example');
+    });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyJobFilters, buildJobFilters, getFilterRejectionReason, getPostedAgeDays } from '../src/filters.js';
+import { parseExperience, parseSalary } from '../src/normalizers.js';
+
+function makeJob({ salary = 'Not disclosed', experience = '', ...rest } = {}) {
+    return {
+        title: 'Sales Executive',
+        company: 'Acme Retail',
+        ...parseSalary(salary),
+        ...parseExperience(experience),
+        ...rest,
+    };
+}
+
+describe('buildJobFilters', () => {
+    it('returns null when no filter is set', () => {
+        assert.equal(buildJobFilters({ searchQuery: 'sales' }), null);
+    });
+
+    it('converts salaryMin from Lakhs and lower-cases lists', () => {
+        const filters = buildJobFilters({ salaryMin: 5, excludeCompanies: [' Globex '] });
+        assert.equal(filters.salaryMinAnnual, 500000);
+        assert.deepEqual(filters.excludeCompanies, ['globex']);
+    });
+
+    it('rejects negative numbers', () => {
+        assert.throws(() => buildJobFilters({ experienceMin: -1 }), /experienceMin/);
+    });
+});
+
+describe('getFilterRejectionReason', () => {
+    it('compares the salary upper bound with the minimum', () => {
+        const filters = buildJobFilters({ salaryMin: 6 });
+        assert.equal(getFilterRejectionReason(makeJob({ salary: '3-5 Lacs PA' }), filters), 'salaryBelowMinimum');
+        assert.equal(getFilterRejectionReason(makeJob({ salary: '5-8 Lacs PA' }), filters), null);
+        assert.equal(getFilterRejectionReason(makeJob(), filters), null);
+        assert.equal(
+            getFilterRejectionReason(makeJob(), buildJobFilters({ salaryMin: 6, keepUndisclosedSalary: false })),
+            'undisclosedSalary',
+        );
+        assert.equal(getFilterRejectionReason(makeJob({ salary: '$80k-100k per annum' }), filters), null);
+    });
+
+    it('keeps jobs whose experience range overlaps the filter', () => {
+        const filters = buildJobFilters({ experienceMin: 3, experienceMax: 5 });
+        assert.equal(getFilterRejectionReason(makeJob({ experience: '1-3 Yrs' }), filters), null);
+        assert.equal(getFilterRejectionReason(makeJob({ experience: '0-1 Yrs' }), filters), 'experienceOutOfRange');
+        assert.equal(getFilterRejectionReason(makeJob({ experience: '10-15 Yrs' }), filters), 'experienceOutOfRange');
+    });
+
+    it('matches companies and keywords case-insensitively', () => {
+        const filters = buildJobFilters({ excludeCompanies: ['acme'], requiredKeywords: ['B2B'] });
+        assert.equal(getFilterRejectionReason(makeJob(), filters), 'companyExcluded');
+        const other = makeJob({ company: 'Globex', descriptionText: 'Grow b2b accounts' });
+        assert.equal(getFilterRejectionReason(other, filters), null);
+        assert.equal(getFilterRejectionReason({ ...other, descriptionText: '' }, filters), 'missingRequiredKeyword');
+        assert.equal(
+            getFilterRejectionReason({ ...other, descriptionText: '' }, filters, { skipKeywords: true }),
+            null,
+        );
+    });
+});
+
+describe('applyJobFilters', () => {
+    it('counts rejected jobs per reason', () => {
+        const jobs = [makeJob({ postedDate: '2 Days Ago' }), makeJob({ postedDate: '30+ Days Ago' }), makeJob()];
+        const { kept, rejectedByReason } = applyJobFilters(jobs, buildJobFilters({ postedWithinDays: 7 }));
+        assert.equal(kept.length, 2);
+        assert.deepEqual(rejectedByReason, { postedTooLongAgo: 1 });
+    });
+
+    it('passes everything through without filters', () => {
+        const jobs = [makeJob()];
+        assert.equal(applyJobFilters(jobs, null).kept, jobs);
+    });
+
+    it('computes posting age in whole days', () => {
+        const now = Date.parse('2024-10-10T12:00:00.000Z');
+        assert.equal(getPostedAgeDays('3 Days Ago', now), 3);
+        assert.equal(getPostedAgeDays('2024-10-01', now), 9);
+        assert.equal(getPostedAgeDays('', now), null);
+    });
+});
@@ -0,0 +1,21 @@
+import { readFileSync } from 'node:fs';
+
+import { log } from 'apify';
+
+// Extractors log every step; keep test output readable
+log.setLevel(log.LEVELS.OFF);
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+/**
+ * Read a file from test/fixtures as text
+ */
+export function loadFixture(name) {
+    return readFileSync(new URL(name, FIXTURES_DIR), 'utf8');
+}
+/**
+ * Read and parse a JSON file from test/fixtures
+ */
+export function loadJsonFixture(name) {
+    return JSON.parse(loadFixture(name));
+}
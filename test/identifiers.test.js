@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    canonicalizeJobUrl,
+    extractCompanyIdFromUrl,
+    extractJobIdFromUrl,
+    getJobDedupKey,
+    getJsonLdJobId,
+    toCompanyOverviewUrl,
+} from '../src/identifiers.js';
+
+const LISTING_URL = 'https://www.naukri.com/job-listings-sales-executive-acme-mumbai-1-to-3-years-061024500123';
+
+describe('job identifiers', () => {
+    it('extracts the job ID from listing URLs and query parameters', () => {
+        assert.equal(extractJobIdFromUrl(`${LISTING_URL}?src=jobsearchDesk&sid=1`), '061024500123');
+        assert.equal(extractJobIdFromUrl('/job-listings-data-analyst-pune-2-to-5-years-091024501111/'), '091024501111');
+        assert.equal(extractJobIdFromUrl('https://www.naukri.com/jobapi/v4/job?jobId=123456789012'), '123456789012');
+        assert.equal(extractJobIdFromUrl('https://www.naukri.com/sales-jobs-in-mumbai-2'), '');
+    });
+
+    it('reads JSON-LD identifiers in their different shapes', () => {
+        assert.equal(getJsonLdJobId({ identifier: { '@type': 'PropertyValue', value: 42 } }), '42');
+        assert.equal(getJsonLdJobId({ identifier: ['', 'abc'] }), 'abc');
+        assert.equal(getJsonLdJobId({}), '');
+    });
+
+    it('canonicalizes URLs and builds dedup keys', () => {
+        assert.equal(canonicalizeJobUrl(`${LISTING_URL}/?src=sortby#apply`), LISTING_URL);
+        assert.equal(getJobDedupKey({ jobId: '1', url: LISTING_URL }), 'id:1');
+        assert.equal(getJobDedupKey({ url: `${LISTING_URL}?xp=3` }), `url:${LISTING_URL}`);
+        assert.equal(getJobDedupKey({ title: 'Sales', company: 'Acme', location: '' }), 'text:sales|acme|');
+        assert.equal(getJobDedupKey({}), '');
+    });
+});
+
+describe('company identifiers', () => {
+    it('maps company job lists to their overview page', () => {
+        const url = 'https://www.naukri.com/acme-retail-jobs-careers-123456?src=jd';
+        assert.equal(extractCompanyIdFromUrl(url), '123456');
+        assert.equal(toCompanyOverviewUrl(url), 'https://www.naukri.com/acme-retail-overview-123456');
+    });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeCity, parseJobLocation, slugify, splitLocations } from '../src/locations.js';
+
+describe('normalizeCity', () => {
+    it('resolves city aliases to Naukri names and slugs', () => {
+        assert.deepEqual(normalizeCity('Bangalore'), { name: 'Bengaluru', slug: 'bengaluru' });
+        assert.deepEqual(normalizeCity(' gurgaon '), { name: 'Gurugram', slug: 'gurugram' });
+        assert.deepEqual(normalizeCity('Delhi NCR'), { name: 'Delhi / NCR', slug: 'delhi-ncr' });
+        assert.deepEqual(normalizeCity('New  Delhi'), { name: 'Delhi / NCR', slug: 'delhi-ncr' });
+        assert.deepEqual(normalizeCity('Navi Mumbai'), { name: 'Navi Mumbai', slug: 'navi-mumbai' });
+    });
+
+    it('keeps unknown cities as typed', () => {
+        assert.deepEqual(normalizeCity('Port Blair'), { name: 'Port Blair', slug: 'port-blair' });
+        assert.equal(normalizeCity('  '), null);
+    });
+});
+
+describe('splitLocations', () => {
+    it('splits comma-separated cities and drops alias duplicates', () => {
+        assert.deepEqual(
+            splitLocations('Bombay, Pune; Bangalore | Bengaluru').map((city) => city.slug),
+            ['mumbai', 'pune', 'bengaluru'],
+        );
+        assert.deepEqual(
+            splitLocations(['Delhi / NCR', 'Noida']).map((city) => city.name),
+            ['Delhi / NCR', 'Noida'],
+        );
+        assert.deepEqual(splitLocations(''), []);
+    });
+
+    it('slugifies free text', () => {
+        assert.equal(slugify('  Sri Ganganagar (Rajasthan) '), 'sri-ganganagar-rajasthan');
+    });
+});
+
+describe('parseJobLocation', () => {
+    it('splits multi-city text and reads the work mode', () => {
+        const { locations, workMode } = parseJobLocation('Mumbai, Pune, Bangalore (Hybrid)');
+        assert.deepEqual(
+            locations.map(({ city, state }) => [city, state]),
+            [
+                ['Mumbai', 'Maharashtra'],
+                ['Pune', 'Maharashtra'],
+                ['Bengaluru', 'Karnataka'],
+            ],
+        );
+        assert.equal(workMode, 'hybrid');
+    });
+
+    it('reads localities in parentheses and strips work mode prefixes', () => {
+        assert.deepEqual(parseJobLocation('Hybrid - Mumbai( Andheri East )'), {
+            locations: [{ city: 'Mumbai', locality: 'Andheri East', state: 'Maharashtra', country: 'India' }],
+            workMode: 'hybrid',
+        });
+        assert.equal(parseJobLocation('Mumbai (All Areas)').locations[0].locality, null);
+    });
+
+    it('fills in states and countries from JSON-LD style locations', () => {
+        assert.deepEqual(parseJobLocation('Gangtok, Sikkim, India | Delhi / NCR'), {
+            locations: [
+                { city: 'Gangtok', locality: null, state: 'Sikkim', country: 'India' },
+                { city: 'Delhi / NCR', locality: null, state: 'Delhi', country: 'India' },
+            ],
+            workMode: 'onsite',
+        });
+        assert.equal(parseJobLocation('Dubai, UAE').locations[0].country, 'United Arab Emirates');
+    });
+
+    it('reads office markers as onsite', () => {
+        assert.deepEqual(parseJobLocation('Work From Office'), { locations: [], workMode: 'onsite' });
+        assert.equal(parseJobLocation('WFO - Pune').workMode, 'onsite');
+        assert.equal(parseJobLocation('In-office, Hybrid - Pune').workMode, 'hybrid');
+    });
+
+    it('handles remote jobs and missing locations', () => {
+        assert.deepEqual(parseJobLocation('Permanent Remote'), { locations: [], workMode: 'remote' });
+        assert.deepEqual(parseJobLocation('Remote, India'), {
+            locations: [{ city: null, locality: null, state: null, country: 'India' }],
+            workMode: 'remote',
+        });
+        assert.deepEqual(parseJobLocation(''), { locations: [], workMode: null });
+    });
+});
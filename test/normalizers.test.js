@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    parseExperience,
+    parseExperienceFromJsonLd,
+    parsePostedDate,
+    parseSalary,
+    parseSalaryFromJsonLd,
+} from '../src/normalizers.js';
+
+describe('parseSalary', () => {
+    it('converts Lakh and Crore notation into full rupees', () => {
+        assert.deepEqual(parseSalary('3-5 Lacs PA'), {
+            salaryMin: 300000,
+            salaryMax: 500000,
+            salaryCurrency: 'INR',
+            salaryPeriod: 'YEAR',
+            isSalaryDisclosed: true,
+        });
+        assert.equal(parseSalary('1-1.5 Cr PA').salaryMax, 15000000);
+        assert.equal(parseSalary('12 LPA').salaryMin, 1200000);
+    });
+
+    it('keeps full amounts in mixed-unit ranges', () => {
+        const mixed = parseSalary('50,000 - 1.5 Lacs P.A.');
+        assert.equal(mixed.salaryMin, 50000);
+        assert.equal(mixed.salaryMax, 150000);
+        assert.equal(parseSalary('1,00,000 - 2 Lacs PA').salaryMin, 100000);
+    });
+
+    it('reads monthly amounts and upper bounds', () => {
+        const monthly = parseSalary('25,000-30,000 per month');
+        assert.equal(monthly.salaryMin, 25000);
+        assert.equal(monthly.salaryPeriod, 'MONTH');
+        const upto = parseSalary('Upto 6 Lacs PA');
+        assert.equal(upto.salaryMin, null);
+        assert.equal(upto.salaryMax, 600000);
+    });
+
+    it('treats undisclosed salaries as missing', () => {
+        for (const text of ['Not disclosed', 'Not Specified', '', null]) {
+            assert.equal(parseSalary(text).isSalaryDisclosed, false);
+        }
+    });
+
+    it('reads JSON-LD baseSalary', () => {
+        const salary = parseSalaryFromJsonLd({ currency: 'INR', value: { minValue: 40000, unitText: 'MONTH' } });
+        assert.equal(salary.salaryMin, 40000);
+        assert.equal(salary.salaryMax, 40000);
+        assert.equal(salary.salaryPeriod, 'MONTH');
+    });
+});
+
+describe('parseExperience', () => {
+    it('parses card ranges and open-ended values', () => {
+        assert.deepEqual(parseExperience('2-5 Yrs'), {
+            experienceMinYears: 2,
+            experienceMaxYears: 5,
+            isFresher: false,
+        });
+        assert.deepEqual(parseExperience('5+ years'), {
+            experienceMinYears: 5,
+            experienceMaxYears: null,
+            isFresher: false,
+        });
+        assert.equal(parseExperience('6-12 months').experienceMaxYears, 1);
+    });
+
+    it('flags fresher roles', () => {
+        assert.equal(parseExperience('0-1 Yrs').isFresher, true);
+        assert.deepEqual(parseExperience('Fresher'), { experienceMinYears: 0, experienceMaxYears: 1, isFresher: true });
+    });
+
+    it('ignores bare numbers inside long text', () => {
+        assert.equal(parseExperience('Team of 10-15 people in the western region').experienceMinYears, null);
+    });
+
+    it('reads JSON-LD monthsOfExperience', () => {
+        assert.equal(parseExperienceFromJsonLd({ monthsOfExperience: 18 }).experienceMinYears, 1.5);
+        assert.equal(parseExperienceFromJsonLd('3-6 years').experienceMaxYears, 6);
+    });
+});
+
+describe('parsePostedDate', () => {
+    const scrapedAt = '2024-10-10T12:00:00.000Z';
+
+    it('resolves relative card text against scrapedAt', () => {
+        assert.deepEqual(parsePostedDate('3 Days Ago', scrapedAt), {
+            postedAt: '2024-10-07T12:00:00.000Z',
+            postedAtPrecision: 'day',
+            isPostedAtApproximate: false,
+            postedDateRaw: '3 Days Ago',
+        });
+        assert.equal(parsePostedDate('Just Now', scrapedAt).postedAt, scrapedAt);
+        assert.equal(parsePostedDate('Yesterday', scrapedAt).postedAt, '2024-10-09T12:00:00.000Z');
+    });
+
+    it('marks lower bounds and coarse units as approximate', () => {
+        const old = parsePostedDate('30+ Days Ago', scrapedAt);
+        assert.equal(old.postedAt, '2024-09-10T12:00:00.000Z');
+        assert.equal(old.isPostedAtApproximate, true);
+        assert.equal(parsePostedDate('2 Weeks Ago', scrapedAt).postedAtPrecision, 'week');
+    });
+
+    it('reads ISO and absolute dates', () => {
+        assert.equal(parsePostedDate('2024-01-15', scrapedAt).postedAt, '2024-01-15T00:00:00.000Z');
+        assert.equal(parsePostedDate('2024-01-15T10:00:00Z', scrapedAt).postedAtPrecision, 'exact');
+    });
+
+    it('leaves unknown text unparsed', () => {
+        assert.equal(parsePostedDate('Hiring actively', scrapedAt).postedAt, null);
+        assert.equal(parsePostedDate(undefined, scrapedAt).postedDateRaw, '');
+    });
+});
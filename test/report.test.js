@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createReportBuilder, renderReportHtml } from '../src/report.js';
+
+const scrapedAt = '2024-10-10T12:00:00.000Z';
+const JOBS = [
+    {
+        company: 'Acme Retail',
+        isSalaryDisclosed: true,
+        salaryMin: 300000,
+        salaryMax: 500000,
+        salaryPeriod: 'YEAR',
+        experienceMinYears: 1,
+        locations: [{ city: 'Mumbai' }, { city: 'Pune' }],
+        workMode: 'hybrid',
+        skills: ['Sales', 'MS Excel'],
+        postedAt: '2024-10-08T09:00:00.000Z',
+        scrapedAt,
+    },
+    {
+        company: 'Acme Retail',
+        isSalaryDisclosed: true,
+        salaryMin: 60000,
+        salaryMax: 60000,
+        salaryPeriod: 'MONTH',
+        experienceMinYears: 0,
+        locations: [{ city: 'Mumbai' }],
+        workMode: 'onsite',
+        skills: ['Sales'],
+        postedAt: '2024-10-10T08:00:00.000Z',
+        scrapedAt,
+    },
+    { company: 'Callwell <Services>', isSalaryDisclosed: false, experienceMinYears: null, locations: [], scrapedAt },
+];
+
+describe('createReportBuilder', () => {
+    const builder = createReportBuilder();
+    JOBS.forEach((job) => builder.add(job));
+    const report = builder.build({ searches: [] });
+
+    it('counts companies, cities, work modes and skills', () => {
+        assert.equal(report.totalJobs, 3);
+        assert.equal(report.uniqueCompanies, 2);
+        assert.deepEqual(report.topCompanies[0], { label: 'Acme Retail', count: 2, share: 0.667 });
+        assert.deepEqual(
+            report.jobsByCity.map(({ label, count }) => [label, count]),
+            [
+                ['Mumbai', 2],
+                ['Pune', 1],
+            ],
+        );
+        assert.deepEqual(
+            report.workModes.map(({ label }) => label),
+            ['onsite', 'hybrid', 'unknown'],
+        );
+        assert.deepEqual(report.topSkills[0], { label: 'Sales', count: 2, share: 0.667 });
+    });
+
+    it('buckets annualized salaries, experience and posting age', () => {
+        const counts = (rows) => Object.fromEntries(rows.map(({ label, count }) => [label, count]));
+        assert.deepEqual(counts(report.salaryDistribution), { '3-6 Lakhs': 1, '6-10 Lakhs': 1, 'Not disclosed': 1 });
+        assert.equal(report.medianAnnualSalaryLakhs, 5.6);
+        assert.deepEqual(counts(report.experienceDistribution), {
+            'Fresher (0-1 years)': 1,
+            '1-3 years': 1,
+            'Not specified': 1,
+        });
+        assert.deepEqual(counts(report.postingAge), { Today: 1, '1-3 days': 1, Unknown: 1 });
+    });
+
+    it('keeps salaries in other currencies out of the lakh bands and the median', () => {
+        const usdBuilder = createReportBuilder();
+        usdBuilder.add(JOBS[0]);
+        usdBuilder.add({
+            ...JOBS[0],
+            salaryMin: 120000,
+            salaryMax: 150000,
+            salaryCurrency: 'USD',
+        });
+        const usdReport = usdBuilder.build();
+        assert.deepEqual(
+            usdReport.salaryDistribution.map(({ label, count }) => [label, count]),
+            [
+                ['3-6 Lakhs', 1],
+                ['Other currency', 1],
+            ],
+        );
+        assert.equal(usdReport.medianAnnualSalaryLakhs, 4);
+        assert.equal(usdReport.jobsWithDisclosedSalary, 1);
+    });
+
+    it('renders a self-contained HTML page with escaped labels', () => {
+        const html = renderReportHtml(report);
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /Callwell &#60;Services&#62;/);
+        assert.doesNotMatch(html, /<script|<link|src=/);
+    });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractJobsFromSearchApi, isSearchApiUrl } from '../src/search-api.js';
+import { loadJsonFixture } from './helpers.js';
+
+describe('isSearchApiUrl', () => {
+    it('matches the job search endpoint only', () => {
+        assert.equal(isSearchApiUrl('https://www.naukri.com/jobapi/v3/search?noOfResults=20&keyword=sales'), true);
+        assert.equal(isSearchApiUrl('https://www.naukri.com/jobapi/v4/job/061024500123'), false);
+        assert.equal(isSearchApiUrl('https://www.naukri.com/sales-jobs'), false);
+        assert.equal(isSearchApiUrl('not a url'), false);
+    });
+});
+
+describe('extractJobsFromSearchApi', () => {
+    const jobs = extractJobsFromSearchApi([loadJsonFixture('search-api-response.json')]);
+
+    it('maps jobDetails to dataset items, skipping duplicates and entries without a job page', () => {
+        assert.deepEqual(
+            jobs.map((job) => job.jobId),
+            ['061024500123', '071024500456'],
+        );
+    });
+
+    it('reads placeholders, salary detail, tags and company data', () => {
+        const [job] = jobs;
+        assert.equal(job.title, 'Sales Executive');
+        assert.equal(job.company, 'Acme Retail');
+        assert.equal(job.companyId, '123456');
+        assert.equal(job.companyUrl, 'https://www.naukri.com/acme-retail-jobs-careers-123456');
+        assert.equal(job.companyRating, 4.1);
+        assert.equal(job.companyReviewCount, 1234);
+        assert.equal(job.location, 'Mumbai, Navi Mumbai');
+        assert.equal(job.salary, '3-5 Lacs PA');
+        assert.equal(job.salaryMin, 300000);
+        assert.equal(job.salaryMax, 500000);
+        assert.equal(job.experienceMinYears, 1);
+        assert.equal(job.experienceMaxYears, 3);
+        assert.deepEqual(job.tags, ['Sales', 'B2B Sales', 'MS Excel']);
+        assert.equal(job.postedDate, '2024-10-04T00:00:00.000Z');
+        assert.equal(job.descriptionHtml, '<p>Achieve monthly sales targets and manage key retail accounts.</p>');
+        assert.equal(
+            job.url,
+            'https://www.naukri.com/job-listings-sales-executive-acme-retail-mumbai-1-to-3-years-061024500123',
+        );
+    });
+
+    it('falls back to placeholder text for hidden salaries and missing dates', () => {
+        const [, job] = jobs;
+        assert.equal(job.isSalaryDisclosed, false);
+        assert.equal(job.salaryMax, null);
+        assert.equal(job.isFresher, true);
+        assert.equal(job.postedDate, 'Just Now');
+        assert.equal(job.companyUrl, '');
+        assert.equal(job.descriptionText, 'Outbound calling for insurance products.');
+    });
+
+    it('ignores bodies without jobDetails', () => {
+        assert.deepEqual(extractJobsFromSearchApi([null, {}, { jobDetails: null }]), []);
+    });
+});
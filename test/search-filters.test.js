@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildSearchFilterParams, readSearchFilters } from '../src/search-filters.js';
+
+describe('buildSearchFilterParams', () => {
+    it('translates input filters into Naukri URL parameters', () => {
+        const params = buildSearchFilterParams({
+            experience: '3-5',
+            freshness: '7',
+            workModes: ['remote', 'Hybrid'],
+            salaryBands: ['6-10', '100+'],
+            departments: ['5'],
+            industries: ['109'],
+            roleCategories: ['1028'],
+            educationUg: ['12'],
+            companyTypes: ['foreign-mnc', 'startup'],
+            topCompanies: ['40'],
+            sortBy: 'date',
+        });
+        assert.equal(
+            params.toString(),
+            'experience=3&jobAge=7&wfhType=2&wfhType=3&ctcFilter=6to10&ctcFilter=100to500&functionAreaIdGid=5' +
+                '&industryTypeIdGid=109&glbl_qcrc=1028&ugTypeGid=12&qbusinessSize=211&qbusinessSize=217' +
+                '&qctopGroupId=40&sort=f',
+        );
+    });
+
+    it('skips "all" and the default relevance sort', () => {
+        assert.equal(
+            buildSearchFilterParams({ experience: 'all', freshness: 'all', sortBy: 'relevance' }).toString(),
+            '',
+        );
+    });
+
+    it('rejects unknown values', () => {
+        assert.throws(() => buildSearchFilterParams({ freshness: '10' }), /freshness/);
+        assert.throws(() => buildSearchFilterParams({ workModes: ['wfh'] }), /workModes.*office, remote, hybrid/);
+        assert.throws(() => buildSearchFilterParams({ industries: ['IT Services'] }), /industries.*numeric/);
+        assert.throws(() => buildSearchFilterParams({ sortBy: 'salary' }), /sortBy/);
+    });
+});
+
+describe('readSearchFilters', () => {
+    it('reads the applied filters back from a search URL', () => {
+        assert.deepEqual(
+            readSearchFilters(
+                'https://www.naukri.com/sales-jobs?experience=2&jobAge=3&wfhType=0,2&qbusinessSize=62&glbl_qcrc=1028&sort=f',
+            ),
+            {
+                experience: 2,
+                freshness: 3,
+                workModes: ['office', 'remote'],
+                roleCategories: ['1028'],
+                companyTypes: ['corporate'],
+                sortBy: 'date',
+            },
+        );
+        assert.deepEqual(readSearchFilters('https://www.naukri.com/sales-jobs-in-mumbai'), {});
+    });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildPageUrl, buildSearches, buildSearchUrl, getPageNumberFromUrl, slugifyKeyword } from '../src/searches.js';
+
+describe('buildSearchUrl', () => {
+    it('builds keyword and location slugs', () => {
+        assert.equal(
+            buildSearchUrl({ searchQuery: 'Data Analyst', location: 'Navi Mumbai' }),
+            'https://www.naukri.com/data-analyst-jobs-in-navi-mumbai',
+        );
+        assert.equal(buildSearchUrl({ searchQuery: 'sales' }), 'https://www.naukri.com/sales-jobs');
+    });
+
+    it('normalizes city aliases and builds multi-city searches', () => {
+        assert.equal(
+            buildSearchUrl({ searchQuery: 'sales', location: 'Bangalore' }),
+            buildSearchUrl({ searchQuery: 'sales', location: 'bengaluru' }),
+        );
+        assert.equal(
+            buildSearchUrl({ searchQuery: 'sales', location: 'Mumbai, Gurgaon' }),
+            'https://www.naukri.com/sales-jobs-in-mumbai-gurugram?k=sales&l=Mumbai%2C+Gurugram',
+        );
+    });
+
+    it('spells out symbols in keyword slugs', () => {
+        assert.equal(slugifyKeyword('C++'), 'c-plus-plus');
+        assert.equal(slugifyKeyword('C# / .NET developer'), 'c-sharp-dot-net-developer');
+        assert.equal(slugifyKeyword('Node.js'), 'node-js');
+        assert.equal(slugifyKeyword('Sales & Marketing'), 'sales-and-marketing');
+    });
+
+    it('appends the search filters and keeps explicit URLs', () => {
+        assert.equal(
+            buildSearchUrl({ searchQuery: 'sales', experience: '3' }),
+            'https://www.naukri.com/sales-jobs?experience=3',
+        );
+        assert.equal(
+            buildSearchUrl({
+                searchQuery: 'sales',
+                location: 'Pune',
+                freshness: '1',
+                workModes: ['remote'],
+                sortBy: 'date',
+            }),
+            'https://www.naukri.com/sales-jobs-in-pune?jobAge=1&wfhType=2&sort=f',
+        );
+        assert.equal(
+            buildSearchUrl({ searchUrl: 'https://www.naukri.com/x-jobs?jobAge=3', freshness: '7' }),
+            'https://www.naukri.com/x-jobs?jobAge=3',
+        );
+        assert.equal(buildSearchUrl({ searchUrl: ' https://www.naukri.com/x-jobs ' }), 'https://www.naukri.com/x-jobs');
+    });
+});
+
+describe('buildSearches', () => {
+    it('combines the searches array and query x location pairs', () => {
+        const searches = buildSearches(
+            {
+                searchQuery: 'sales',
+                location: 'Mumbai',
+                searches: ['https://www.naukri.com/hr-jobs', { searchQuery: 'finance', maxJobs: 10, label: 'Finance' }],
+                searchQueries: ['sales', 'marketing'],
+                locations: ['Mumbai', 'Pune'],
+            },
+            50,
+        );
+        assert.deepEqual(
+            searches.map(({ id, label, maxJobs }) => [id, label, maxJobs]),
+            [
+                ['search-1', 'https://www.naukri.com/hr-jobs', 50],
+                ['search-2', 'Finance', 10],
+                ['search-3', 'sales @ Mumbai', 50],
+                ['search-4', 'sales @ Pune', 50],
+                ['search-5', 'marketing @ Mumbai', 50],
+                ['search-6', 'marketing @ Pune', 50],
+            ],
+        );
+    });
+
+    it('ignores the single search inputs when batch input is given', () => {
+        // The Apify console always sends the default searchQuery and the prefilled searchUrl
+        const consoleDefaults = { searchUrl: 'https://www.naukri.com/sales-jobs-in-mumbai', searchQuery: 'sales' };
+        assert.deepEqual(
+            buildSearches({ ...consoleDefaults, searchQueries: ['data analyst'] }, 50).map(({ label }) => label),
+            ['data analyst'],
+        );
+        assert.deepEqual(
+            buildSearches({ ...consoleDefaults, searches: [{ searchQuery: 'hr' }] }, 50).map(({ label }) => label),
+            ['hr'],
+        );
+        assert.deepEqual(
+            buildSearches(consoleDefaults, 50).map(({ url }) => url),
+            ['https://www.naukri.com/sales-jobs-in-mumbai'],
+        );
+    });
+
+    it('runs one search per city in separate mode and drops alias duplicates', () => {
+        const searches = buildSearches(
+            {
+                searchQueries: ['sales'],
+                locations: ['Bombay, Pune', 'Mumbai'],
+                multiLocationMode: 'separate',
+            },
+            50,
+        );
+        assert.deepEqual(
+            searches.map(({ label, url }) => [label, url]),
+            [
+                ['sales @ Mumbai', 'https://www.naukri.com/sales-jobs-in-mumbai'],
+                ['sales @ Pune', 'https://www.naukri.com/sales-jobs-in-pune'],
+            ],
+        );
+    });
+
+    it('lets batch entries override the shared search filters and records them', () => {
+        const searches = buildSearches(
+            {
+                freshness: '7',
+                searches: [
+                    { searchQuery: 'sales' },
+                    { searchQuery: 'finance', freshness: '1', companyTypes: ['startup'] },
+                ],
+            },
+            50,
+        );
+        assert.deepEqual(
+            searches.map(({ filters }) => filters),
+            [{ freshness: 7 }, { freshness: 1, companyTypes: ['startup'] }],
+        );
+    });
+
+    it('rejects invalid per-search maxJobs', () => {
+        assert.throws(() => buildSearches({ searches: [{ searchQuery: 'sales', maxJobs: -5 }] }, 50), /maxJobs/);
+    });
+});
+
+describe('results page URLs', () => {
+    it('reads the page number from pageNo or the path suffix', () => {
+        assert.equal(getPageNumberFromUrl('https://www.naukri.com/sales-jobs-in-mumbai'), 1);
+        assert.equal(getPageNumberFromUrl('https://www.naukri.com/sales-jobs-in-mumbai-3'), 3);
+        assert.equal(getPageNumberFromUrl('https://www.naukri.com/sales-jobs?pageNo=4'), 4);
+    });
+
+    it('builds -N style page URLs from any page', () => {
+        assert.equal(
+            buildPageUrl('https://www.naukri.com/sales-jobs-in-mumbai?experience=3', 2),
+            'https://www.naukri.com/sales-jobs-in-mumbai-2?experience=3',
+        );
+        assert.equal(
+            buildPageUrl('https://www.naukri.com/sales-jobs-in-mumbai-2?pageNo=2', 3),
+            'https://www.naukri.com/sales-jobs-in-mumbai-3',
+        );
+    });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractJobsFromHtml, parseJobDetailPage } from '../src/extractors.js';
+import {
+    DEFAULT_SELECTOR_CONFIG,
+    resolveSelectorConfig,
+    SELECTOR_CONFIG_VERSION,
+    validateSelectorConfig,
+} from '../src/selector-config.js';
+import { loadFixture } from './helpers.js';
+
+describe('validateSelectorConfig', () => {
+    it('accepts the defaults and partial overrides', () => {
+        assert.equal(validateSelectorConfig(DEFAULT_SELECTOR_CONFIG), DEFAULT_SELECTOR_CONFIG);
+        validateSelectorConfig({ version: SELECTOR_CONFIG_VERSION, searchPage: { salary: ['span.sal'] } });
+    });
+
+    it('lists every problem with its source', () => {
+        assert.throws(
+            () =>
+                validateSelectorConfig(
+                    {
+                        version: 0,
+                        searchPage: { salary: [], title: ['a[href'], colour: ['.x'] },
+                        resultsPage: {},
+                    },
+                    'input.selectorConfig',
+                ),
+            (error) => {
+                assert.match(error.message, /^Invalid input\.selectorConfig: /);
+                assert.match(error.message, /version must be 1/);
+                assert.match(error.message, /searchPage\.salary must be a non-empty array/);
+                assert.match(error.message, /searchPage\.title\[0\] "a\[href" is not a valid selector/);
+                assert.match(error.message, /unknown field "searchPage\.colour"/);
+                assert.match(error.message, /unknown section "resultsPage"/);
+                return true;
+            },
+        );
+    });
+});
+
+describe('resolveSelectorConfig', () => {
+    it('applies overrides field by field, later sources winning', () => {
+        const { config, revision, sources, overriddenFields } = resolveSelectorConfig([
+            { source: 'store/SELECTOR_CONFIG', config: { version: 1, revision: 'a', searchPage: { salary: ['.s1'] } } },
+            {
+                source: 'input.selectorConfig',
+                config: { version: 1, searchPage: { salary: [' .s2 '], location: ['.l'] } },
+            },
+            { source: 'empty store', config: null },
+        ]);
+        assert.deepEqual(config.searchPage.salary, ['.s2']);
+        assert.deepEqual(config.searchPage.location, ['.l']);
+        assert.equal(config.searchPage.title, DEFAULT_SELECTOR_CONFIG.searchPage.title);
+        assert.equal(revision, 'a');
+        assert.deepEqual(sources, ['default', 'store/SELECTOR_CONFIG', 'input.selectorConfig']);
+        assert.deepEqual(overriddenFields, ['searchPage.salary', 'searchPage.location']);
+        assert.notDeepEqual(DEFAULT_SELECTOR_CONFIG.searchPage.salary, ['.s2']);
+    });
+
+    it('drives card and detail extraction', () => {
+        const { config } = resolveSelectorConfig([
+            {
+                source: 'test',
+                config: {
+                    version: 1,
+                    searchPage: { salary: ['.no-such-class'], location: ['.loc-wrap span[title]'] },
+                    detailPage: { keySkills: ['.styles_chip__7YCfG span:first-child'] },
+                },
+            },
+        ]);
+        const [job] = extractJobsFromHtml(loadFixture('search-page.html'), { selectors: config.searchPage });
+        assert.equal(job.salary, 'Not specified');
+        assert.equal(job.location, 'Mumbai, Navi Mumbai');
+        const detail = parseJobDetailPage(loadFixture('detail-page.html'), { selectors: config.detailPage });
+        assert.deepEqual(detail.keySkills, ['Sales', 'B2B Sales', 'MS Excel']);
+    });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractJobsFromHtml, parseJobDetailPage } from '../src/extractors.js';
+import { createSelectorHealth } from '../src/selector-health.js';
+import { loadFixture } from './helpers.js';
+
+const FULL_JOB = {
+    title: 'Sales Executive',
+    company: 'Acme Retail',
+    location: 'Mumbai',
+    salary: 'Not disclosed',
+    descriptionText: 'Achieve monthly sales targets.',
+};
+
+describe('createSelectorHealth', () => {
+    it('counts selector matches per field', () => {
+        const health = createSelectorHealth();
+        extractJobsFromHtml(loadFixture('search-page.html'), { onSelectorMatch: health.recordMatch });
+        const { selectors } = health.summarize();
+        assert.deepEqual(selectors.card, { 'div[class*="tuple"]': 3 });
+        assert.deepEqual(selectors.title, { 'a[href*="job-listings"]': 3 });
+        assert.deepEqual(selectors.location, { '.locWdth': 3 });
+        assert.equal(selectors.salary['span[class*="sal"]'], 3);
+    });
+
+    it('reports the detail description source', () => {
+        const health = createSelectorHealth();
+        parseJobDetailPage(loadFixture('detail-page.html'), { onSelectorMatch: health.recordMatch });
+        assert.deepEqual(health.summarize().selectors.detailDescription, { 'div[class*="JDC__dang-inner-html"]': 1 });
+    });
+
+    it('flags fields whose fill rate drops below the minimum', () => {
+        const health = createSelectorHealth();
+        health.recordJobs(Array.from({ length: 6 }, () => FULL_JOB));
+        health.recordJobs(Array.from({ length: 4 }, () => ({ ...FULL_JOB, company: '', salary: 'Not specified' })));
+        const summary = health.summarize({ minFillRate: 0.8 });
+        assert.equal(summary.status, 'degraded');
+        assert.equal(summary.jobsChecked, 10);
+        assert.equal(summary.fillRates.company, 0.6);
+        assert.equal(summary.fillRates.title, 1);
+        assert.deepEqual(summary.lowFillRateFields, ['company', 'salary']);
+        assert.equal(health.summarize({ minFillRate: 0.5 }).status, 'ok');
+    });
+
+    it('does not judge small samples', () => {
+        const health = createSelectorHealth();
+        health.recordJobs([{ title: 'Unknown Title' }]);
+        const summary = health.summarize({ minFillRate: 0.5 });
+        assert.equal(summary.status, 'insufficientData');
+        assert.equal(summary.fillRates.title, 0);
+        assert.equal(createSelectorHealth().summarize().fillRates.title, null);
+    });
+});
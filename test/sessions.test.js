@@ -0,0 +1,65 @@
+import './helpers.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { BasicCrawler, Configuration } from 'crawlee';
+
+import { createBlockedPageError, createSessionStats, isBlockedPageError } from '../src/sessions.js';
+
+describe('createSessionStats', () => {
+    it('counts outcomes per session and in total', () => {
+        const stats = createSessionStats();
+        stats.recordSuccess('a');
+        stats.recordSuccess('a');
+        stats.recordChallengeSolved('a');
+        stats.recordBlock('b');
+        stats.recordBlock('b', { retired: true });
+        const summary = stats.summarize();
+        assert.equal(summary.sessionsUsed, 2);
+        assert.equal(summary.sessionsRetired, 1);
+        assert.equal(summary.successes, 2);
+        assert.equal(summary.blocks, 2);
+        assert.equal(summary.challengesSolved, 1);
+        assert.deepEqual(summary.bySession.a, { successes: 2, blocks: 0, challengesSolved: 1, retired: false });
+        assert.deepEqual(summary.bySession.b, { successes: 0, blocks: 2, challengesSolved: 0, retired: true });
+    });
+
+    it('summarizes an unused pool', () => {
+        assert.deepEqual(createSessionStats().summarize(), {
+            sessionsUsed: 0,
+            sessionsRetired: 0,
+            successes: 0,
+            blocks: 0,
+            challengesSolved: 0,
+            bySession: {},
+        });
+    });
+});
+
+describe('createBlockedPageError', () => {
+    it('is rethrown past the handler catch, so the page is retried with a penalised session', async () => {
+        const attempts = [];
+        const crawler = new BasicCrawler(
+            {
+                maxRequestRetries: 2,
+                useSessionPool: true,
+                async requestHandler({ request, session }) {
+                    attempts.push(session);
+                    // Same shape as the search page handler
+                    try {
+                        throw createBlockedPageError(request.url);
+                    } catch (error) {
+                        if (isBlockedPageError(error)) throw error;
+                    }
+                },
+            },
+            new Configuration({ persistStorage: false }),
+        );
+        const stats = await crawler.run(['https://www.naukri.com/sales-jobs']);
+        assert.equal(attempts.length, 3);
+        assert.equal(stats.requestsFailed, 1);
+        assert.ok(attempts.every((session) => session.errorScore > 0));
+        assert.equal(isBlockedPageError(new Error('Navigation timeout')), false);
+    });
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { mergeSkills, normalizeSkill, summarizeSkillCounts } from '../src/skills.js';
+
+describe('normalizeSkill', () => {
+    it('maps synonyms to canonical skill names', () => {
+        assert.equal(normalizeSkill('Excel'), 'MS Excel');
+        assert.equal(normalizeSkill(' microsoft  excel '), 'MS Excel');
+        assert.equal(normalizeSkill('JS'), 'JavaScript');
+        assert.equal(normalizeSkill('ReactJS'), 'React');
+        assert.equal(normalizeSkill('Field Sales'), 'Field Sales');
+        // Too generic to mean Microsoft Word
+        assert.equal(normalizeSkill('Word'), 'Word');
+        assert.equal(normalizeSkill('Microsoft Word'), 'MS Word');
+        assert.equal(normalizeSkill(' - '), '');
+    });
+});
+
+describe('mergeSkills', () => {
+    it('merges card tags, JSON-LD text and Key Skills without duplicates', () => {
+        assert.deepEqual(mergeSkills(['Sales', 'MS Excel'], 'sales, Excel, B2B', ['B2B Sales', 'Negotiation']), [
+            'Sales',
+            'MS Excel',
+            'B2B Sales',
+            'Negotiation',
+        ]);
+        assert.deepEqual(mergeSkills(undefined, '', []), []);
+    });
+});
+
+describe('summarizeSkillCounts', () => {
+    it('ranks skills by the number of jobs listing them', () => {
+        assert.deepEqual(summarizeSkillCounts({ jobs: 4, counts: { 'MS Excel': 1, Sales: 4, 'B2B Sales': 1 } }), {
+            jobsWithSkills: 4,
+            skills: [
+                { skill: 'Sales', count: 4, share: 1 },
+                { skill: 'B2B Sales', count: 1, share: 0.25 },
+                { skill: 'MS Excel', count: 1, share: 0.25 },
+            ],
+        });
+    });
+});
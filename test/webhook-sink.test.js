@@ -0,0 +1,129 @@
+import './helpers.js';
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { createWebhookSink, getBatchId, signPayload } from '../src/webhook-sink.js';
+
+const JOBS = [
+    { jobId: '061024500123', title: 'Sales Executive', url: 'https://www.naukri.com/job-listings-a-061024500123' },
+    { jobId: '071024500456', title: 'Area Sales Manager', url: 'https://www.naukri.com/job-listings-b-071024500456' },
+];
+
+/**
+ * Local receiver answering with the queued status codes (200 once the queue is empty)
+ */
+function startReceiver() {
+    const receiver = { requests: [], statuses: [] };
+    receiver.server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() || 200);
+            res.end();
+        });
+    });
+    return new Promise((resolve) => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/jobs`;
+            resolve(receiver);
+        });
+    });
+}
+
+describe('createWebhookSink', () => {
+    let receiver;
+    before(async () => {
+        receiver = await startReceiver();
+    });
+    after(() => receiver.server.close());
+
+    it('posts the batch with custom headers and an HMAC signature', async () => {
+        receiver.requests.length = 0;
+        const sink = createWebhookSink({
+            url: receiver.url,
+            headers: { Authorization: 'Bearer token' },
+            secret: 's3cret',
+            runId: 'run-1',
+        });
+        assert.equal(await sink.deliver(JOBS, { searchId: 'search-1' }), true);
+        const [{ headers, body }] = receiver.requests;
+        assert.equal(headers.authorization, 'Bearer token');
+        assert.equal(headers['x-signature-256'], signPayload(body, 's3cret'));
+        assert.equal(headers['idempotency-key'], getBatchId(JOBS, 'search-1'));
+        const payload = JSON.parse(body);
+        assert.equal(payload.runId, 'run-1');
+        assert.equal(payload.searchId, 'search-1');
+        assert.deepEqual(payload.jobs, JOBS);
+        assert.deepEqual(sink.summarize(), { batchesDelivered: 1, jobsDelivered: 2, batchesFailed: 0, retries: 0 });
+    });
+
+    it('retries server errors with the same batch ID', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(503, 500);
+        const sink = createWebhookSink({ url: receiver.url, baseDelayMs: 1 });
+        assert.equal(await sink.deliver(JOBS), true);
+        assert.equal(receiver.requests.length, 3);
+        assert.deepEqual(
+            receiver.requests.map(({ headers }) => headers['x-delivery-attempt']),
+            ['1', '2', '3'],
+        );
+        assert.equal(new Set(receiver.requests.map(({ headers }) => headers['idempotency-key'])).size, 1);
+        assert.equal(sink.summarize().retries, 2);
+    });
+
+    it('dead-letters batches the receiver rejects or never accepts', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(400, 502, 502);
+        const deadLetters = [];
+        const sink = createWebhookSink({
+            url: receiver.url,
+            maxRetries: 1,
+            baseDelayMs: 1,
+            onDeadLetter: async (entry) => deadLetters.push(entry),
+        });
+        // 4xx is not retried
+        assert.equal(await sink.deliver(JOBS), false);
+        assert.equal(await sink.deliver(JOBS.slice(0, 1)), false);
+        assert.equal(receiver.requests.length, 3);
+        assert.deepEqual(
+            deadLetters.map(({ attempts, error }) => ({ attempts, error })),
+            [
+                { attempts: 1, error: 'HTTP 400' },
+                { attempts: 2, error: 'HTTP 502' },
+            ],
+        );
+        assert.deepEqual(deadLetters[1].payload.jobs, JOBS.slice(0, 1));
+        assert.equal(sink.summarize().batchesFailed, 2);
+    });
+
+    it('caps the exponential backoff', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(503, 503);
+        const sink = createWebhookSink({ url: receiver.url, baseDelayMs: 1, maxDelayMs: 1 });
+        const startedAt = Date.now();
+        assert.equal(await sink.deliver(JOBS), true);
+        assert.equal(receiver.requests.length, 3);
+        assert.ok(Date.now() - startedAt < 1000);
+    });
+
+    it('delivers queued batches in the background, including ones left pending', async () => {
+        receiver.requests.length = 0;
+        const pending = [{ jobs: JOBS.slice(0, 1), searchId: 'search-1' }];
+        const sink = createWebhookSink({ url: receiver.url, pending });
+        sink.enqueue(JOBS.slice(1), { searchId: 'search-2' });
+        sink.enqueue([]);
+        assert.equal(pending.length, 2);
+        await sink.flush();
+        assert.equal(pending.length, 0);
+        assert.deepEqual(
+            receiver.requests.map(({ body }) => JSON.parse(body).searchId),
+            ['search-1', 'search-2'],
+        );
+        assert.equal(sink.summarize().jobsDelivered, 2);
+    });
+});